@@ -37,54 +37,78 @@ const modifier = (text) => {
         }
     }
 
-    // Adaptive VS configuration based on context
-    if (CONFIG.vs.enabled && CONFIG.vs.adaptive) {
-        const adaptedParams = VerbalizedSampling.analyzeContext(text);
-
-        // Temporarily adjust VS parameters
-        const originalK = CONFIG.vs.k;
-        const originalTau = CONFIG.vs.tau;
+    // Adaptive VS parameters for this turn only - CONFIG keeps the base values
+    let vsParams = CONFIG.vs;
 
-        CONFIG.vs.k = adaptedParams.k;
-        CONFIG.vs.tau = adaptedParams.tau;
+    if (CONFIG.vs.enabled && CONFIG.vs.adaptive) {
+        vsParams = VerbalizedSampling.analyzeContext(text);
 
-        // Update VS card with new params
-        VerbalizedSampling.updateCard();
+        // Show this turn's parameters on the VS card
+        VerbalizedSampling.updateCard(vsParams);
 
         // Log adaptation
         if (CONFIG.vs.debugLogging) {
-            safeLog(`VS adapted: k=${adaptedParams.k}, tau=${adaptedParams.tau}`, 'info');
+            const scenes = vsParams.scenes.map(s => `${s.scene} ${s.confidence}`).join(', ') || 'none';
+            safeLog(`VS adapted: k=${vsParams.k}, tau=${vsParams.tau} (scenes: ${scenes})`, 'info');
         }
+    }
 
-        // Reset after this turn (will be re-evaluated next time)
-        state.vsAdaptedParams = { originalK, originalTau };
+    // Remember the parameters this turn's instruction used (for analytics)
+    if (CONFIG.vs.enabled) {
+        state.vsTurnParams = { k: vsParams.k, tau: vsParams.tau, scenes: vsParams.scenes || [] };
     }
 
     // Custom Continue handling
     const handleContinue = () => {
         const lastEntry = history[history.length - 1];
         if (lastEntry?.type === 'continue') {
+            // Finish the sentence output.js trimmed off the last response
+            if (state.cutoffFragment) {
+                const { text: fragment, dialogue } = state.cutoffFragment;
+                const instruction = `<SYSTEM>Your last response was cut off mid-sentence${dialogue ? ' inside dialogue' : ''}: "${fragment}". ` +
+                    'Begin by writing that sentence again in full, then continue in the same scene and tone.</SYSTEM>';
+                LeakScrubber.register('continue', instruction);
+                return instruction;
+            }
+
             const lastLine = text
                 .split('\n')
                 .filter(line => line.trim() !== '')
                 .pop() || '';
 
             // Only add continue instruction if last line seems incomplete
-            if (!/[.!?]$/.test(lastLine.trim())) {
-                return '\n\n<SYSTEM>Continue from your last response, maintaining the same scene and tone.</SYSTEM>';
+            if (!SentenceCutoff.isComplete(lastLine)) {
+                const instruction = '<SYSTEM>Continue from your last response, maintaining the same scene and tone.</SYSTEM>';
+                LeakScrubber.register('continue', instruction);
+                return instruction;
             }
         }
         return '';
     };
 
-    text += handleContinue();
+    // Injected blocks, each with the priority it keeps under the context budget
+    const { PRIORITY } = ContextBudget;
+    const blocks = [{ id: 'continue', text: handleContinue(), priority: PRIORITY.continue }];
 
     // Inject Verbalized Sampling instruction
     // FIX: Use better formatting to prevent leakage
     if (CONFIG.vs.enabled) {
-        text += '\n\n' + VerbalizedSampling.getInstruction();
+        blocks.push({
+            id: 'vs',
+            text: VerbalizedSampling.getInstruction(vsParams),
+            priority: PRIORITY.vs,
+            condense: () => VerbalizedSampling.getInstruction(vsParams, true)
+        });
     }
 
+    // Correction and style cards already sit in the context (World Lore) and compete with it
+    blocks.push(...DynamicCorrection.getContextBlocks(), ...StylePresets.getContextBlocks());
+
+    // Condense or drop the lowest priorities if the context runs over budget
+    const budgeted = ContextBudget.fit(text, blocks);
+    text = budgeted.text;
+    state.lastContextReport = budgeted.report;
+
     // Track context size for debugging
     if (CONFIG.system.enableAnalytics) {
         state.lastContextSize = text.length;
@@ -7,9 +7,28 @@
 
 const modifier = (text) => {
     // Track input in state for analytics
-    state.lastInputType = history[history.length - 1]?.type || 'action';
+    // The type comes from the input's format - history doesn't hold this action yet
+    state.lastInputType = ActionNormalizer.detectType(text);
     state.lastInputTimestamp = Date.now();
 
+    // Slash commands (/vs, /bonepoke, /analytics, /reset) never reach the model
+    const commandMessage = Commands.execute(text);
+    if (commandMessage !== null) {
+        state.message = commandMessage;
+        return { text: '', stop: true };
+    }
+    state.message = '';  // Clear the last command echo
+
+    // Player macros (!sneak, !attack guard) from the "Writing System Macros" card
+    const macro = InputMacros.expand(text, state.lastInputType);
+    if (macro && macro.error) {
+        state.message = macro.error;
+        return { text: '', stop: true };
+    }
+    if (macro) {
+        text = macro.text;
+    }
+
     // Better Say Actions - Enhanced dialogue formatting
     // Credit: BinKompliziert (AI Dungeon Discord)
     const enhanceSayActions = (input) => {
@@ -57,6 +76,11 @@ const modifier = (text) => {
     // Apply say action enhancements
     text = enhanceSayActions(text);
 
+    // Do/Story clean-up: narrative person, agreement, dialogue quotes, capitals
+    if (CONFIG.system.normalizeActions) {
+        text = ActionNormalizer.normalize(text, state.lastInputType);
+    }
+
     // Normalize whitespace
     text = text.replace(/\s+/g, ' ').trim();
 
@@ -20,21 +20,14 @@ const modifier = (text) => {
         output = output.replace(/<\/?candidate[^>]*>/g, '');
         output = output.replace(/<\/?selected>/g, '');
 
-        // CRITICAL: Remove VS instruction if it leaked through
-        // Pattern: [Internal Sampling Protocol: ... ]
-        output = output.replace(/\[Internal Sampling Protocol:[\s\S]*?\]/g, '');
-
-        // Also catch if brackets got stripped but content remains
-        output = output.replace(/Internal Sampling Protocol:[\s\S]*?never mention this process[^\n]*/g, '');
-
-        // Remove any remaining instruction fragments
-        output = output.replace(/- (mentally )?generate \d+ distinct.*?candidates/gi, '');
-        output = output.replace(/- for each.*?probability p/gi, '');
-        output = output.replace(/- only consider candidates where p <.*?\)/gi, '');
-        output = output.replace(/- randomly select one.*?candidates/gi, '');
-        output = output.replace(/- output ONLY.*?response/gi, '');
-        output = output.replace(/- never mention.*?output/gi, '');
-        output = output.replace(/from the unlikely tails.*?distribution/gi, '');
+        // CRITICAL: Remove anything echoing text the library injected
+        // (VS protocol, guidance cards, continue instruction)
+        const scrubbed = LeakScrubber.scrub(output);
+        if (scrubbed.removed.length > 0) {
+            output = scrubbed.text;
+            Analytics.recordLeaks(scrubbed.removed.length);
+            safeLog(`Stripped ${scrubbed.removed.length} leaked instruction fragment(s)`, 'warn');
+        }
 
         // Remove trailing "stop" (AI Dungeon quirk)
         // Handles both "the stop" and "thestop" (with or without space)
@@ -78,6 +71,50 @@ const modifier = (text) => {
         }
     }
 
+    // Cut sentences where the AI decided or spoke for the player
+    if (CONFIG.bonepoke.enabled && CONFIG.bonepoke.agencyHandling === 'trim') {
+        const trimmed = PlayerAgency.trim(text);
+
+        // If nothing would be left, keep the text and let the regeneration check handle it
+        if (trimmed.removed.length > 0 && trimmed.text.trim() !== '') {
+            text = trimmed.text;
+            safeLog(`Trimmed ${trimmed.removed.length} player-agency sentence(s)`, 'info');
+        }
+    }
+
+    // Cut sentences repeated from recent outputs or looped within this reply
+    let loops = [];
+    if (CONFIG.bonepoke.enabled && CONFIG.bonepoke.loopHandling !== 'off') {
+        loops = LoopDetector.detect(text);
+
+        if (loops.length > 0) {
+            Analytics.recordLoops(loops.length);
+        }
+
+        if (loops.length > 0 && CONFIG.bonepoke.loopHandling === 'trim') {
+            const trimmed = LoopDetector.trim(text);
+
+            // If nothing would be left, keep the text and let the regeneration check handle it
+            if (trimmed.text.trim() !== '') {
+                text = trimmed.text;
+                loops = [];
+                safeLog(`Trimmed ${trimmed.removed.length} repeated sentence(s)`, 'info');
+            }
+        }
+    }
+
+    // Trim a sentence cut off mid-way; it is resumed on the next Continue
+    let cutoff = null;
+    if (CONFIG.system.trimCutoffs) {
+        const split = SentenceCutoff.split(text);
+
+        if (split.fragment) {
+            text = split.text;
+            cutoff = split;
+            safeLog(`Trimmed cut-off fragment: "${split.fragment.slice(0, 40)}"`, 'info');
+        }
+    }
+
     // Add space to start of every reply (user requirement)
     if (!text.startsWith(' ')) {
         text = ' ' + text;
@@ -90,7 +127,13 @@ const modifier = (text) => {
     // Store analysis in history
     if (analysis) {
         state.bonepokeHistory = state.bonepokeHistory || [];
-        state.bonepokeHistory.push(analysis);
+        // Compact summary - full analyses would bloat state over long adventures
+        state.bonepokeHistory.push({
+            avgScore: analysis.avgScore,
+            quality: analysis.quality,
+            scores: analysis.scores,
+            issues: DynamicCorrection.listIssues(analysis.composted)
+        });
 
         // Keep only last 20 analyses for memory efficiency
         if (state.bonepokeHistory.length > 20) {
@@ -102,6 +145,7 @@ const modifier = (text) => {
     }
 
     // Quality-gated regeneration
+    const VOICE_SHIFT_PENALTY = 1.5; // Average points a person/tense switch costs
     const shouldRegenerate = () => {
         if (!CONFIG.bonepoke.enabled) return false;
         if (!analysis) return false;
@@ -110,13 +154,33 @@ const modifier = (text) => {
             return false;
         }
 
-        const isBelowThreshold = analysis.avgScore < CONFIG.bonepoke.qualityThreshold;
+        // Outputs that decide or speak for the player (anything left after trimming)
+        const { agency } = analysis.composted;
+        if (agency.length > 0 && ['regen', 'trim'].includes(CONFIG.bonepoke.agencyHandling)) {
+            safeLog(`Player agency: output ${agency[0].reason === 'decision' ? 'decides' : 'speaks'} for the player`, 'warn');
+            return true;
+        }
+
+        // Repeated passages left after trimming (or when set to regenerate)
+        if (loops.length > 0) {
+            safeLog(`Loop: output repeats "${loops[0].line.slice(0, 40)}" (${loops[0].source === 'reply' ? 'within the reply' : 'from a recent output'})`, 'warn');
+            return true;
+        }
+
+        // Person/tense switches count against the average, so strong writing can still pass
+        const { voice } = analysis.composted;
+        const shifted = CONFIG.bonepoke.regenOnVoiceShift && voice.shift;
+        const score = analysis.avgScore - (shifted ? VOICE_SHIFT_PENALTY : 0);
+        const isBelowThreshold = score < CONFIG.bonepoke.qualityThreshold;
 
         if (isBelowThreshold) {
             safeLog(
-                `Quality below threshold: ${analysis.avgScore.toFixed(2)} < ${CONFIG.bonepoke.qualityThreshold}`,
+                `Quality below threshold: ${score.toFixed(2)} < ${CONFIG.bonepoke.qualityThreshold}`,
                 'warn'
             );
+            if (shifted) {
+                safeLog(`Voice shift: output breaks the established ${[voice.person, voice.tense].filter(Boolean).join(' ')} narration`, 'warn');
+            }
 
             // Log specific issues
             if (analysis.suggestions.length > 0) {
@@ -143,8 +207,39 @@ const modifier = (text) => {
     }
 
     // Reset regen counter on successful output
+    const regens = state.regenThisOutput;
     state.regenThisOutput = 0;
 
+    // Keep this output's cut-off fragment for the next Continue (or drop a stale one)
+    if (cutoff) {
+        state.cutoffFragment = { text: cutoff.fragment, dialogue: cutoff.dialogue };
+    } else {
+        delete state.cutoffFragment;
+    }
+
+    // Remember entity facts from the accepted output for later continuity checks
+    if (CONFIG.bonepoke.enabled && CONFIG.bonepoke.trackContinuity) {
+        ContinuityTracker.record(text);
+    }
+
+    // Add the accepted output to the phrase-repetition window, voice profile and emotional arc
+    if (CONFIG.bonepoke.enabled) {
+        PhraseTracker.record(text);
+        NarrativeVoice.record(text);
+        EmotionLexicon.record(text);
+    }
+
+    // Score the active correction cards against what the AI actually wrote
+    DynamicCorrection.recordOutcome(analysis);
+
+    // Let quality trends nudge VS parameters for the next turn
+    if (analysis && CONFIG.vs.enabled) {
+        VSTuner.update();
+    }
+
+    // Build or update story cards for characters, places and factions the AI introduced
+    EntityCards.update(text);
+
     // Log quality if enabled
     if (analysis && (CONFIG.bonepoke.debugLogging || CONFIG.vs.debugLogging)) {
         safeLog(`Output quality: ${analysis.quality} (${analysis.avgScore.toFixed(2)})`, 'success');
@@ -163,7 +258,7 @@ const modifier = (text) => {
     }
 
     // Record analytics
-    Analytics.recordOutput(analysis);
+    Analytics.recordOutput(analysis, regens);
 
     // Safety check: If text is empty after cleaning, don't return nothing
     // This prevents "no text output" errors
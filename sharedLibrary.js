@@ -27,6 +27,8 @@ const CONFIG = {
         tau: 0.10,              // Probability threshold (research-recommended)
         seamless: true,         // Hide process from output
         adaptive: false,        // Auto-adjust based on context
+        autoTune: false,        // Adjust k/tau from Bonepoke quality trends
+        lockParams: false,      // Freeze k/tau (auto-tuning only observes)
         debugLogging: false     // Console logging
     },
 
@@ -34,16 +36,71 @@ const CONFIG = {
     bonepoke: {
         enabled: true,
         fatigueThreshold: 5,    // Word repetition threshold (was 3, too aggressive)
+        phraseWindow: 5,        // Recent outputs checked for repeated phrases
         qualityThreshold: 2.5,  // Minimum average score
         maxRegenAttempts: 2,    // Regeneration limit
         enableDynamicCorrection: true,  // Auto-inject guidance
+        trackContinuity: true,  // Entity-state contradiction tracking
+        regenOnVoiceShift: true,  // Count person/tense switches against the quality threshold
+        agencyHandling: 'card', // Player decisions/dialogue in output: card, trim, regen or off
+        loopHandling: 'trim',   // Sentences repeated from recent outputs or within a reply: trim, regen or off
+        loopWindow: 3,          // Recent outputs checked for repeated sentences
+        correctionTurns: 3,     // Turns a correction card outlives its issue
+        arcWindow: 6,           // Outputs the emotional arc may stay flat before guidance
         debugLogging: false
     },
 
+    // Scene profiles for adaptive VS (vs.adaptive)
+    // When several scenes apply, parameters are blended by classifier confidence
+    sceneProfiles: {
+        combat:      { k: 5, tau: 0.08, instruction: 'keep the action fast, physical and easy to follow' },
+        dialogue:    { k: 7, tau: 0.12, instruction: 'give each speaker a distinct voice and subtext' },
+        exploration: { k: 5, tau: 0.14, instruction: 'reveal concrete, surprising details of the surroundings' },
+        romance:     { k: 6, tau: 0.12, instruction: 'favor small gestures and restraint over declarations' },
+        mystery:     { k: 6, tau: 0.10, instruction: 'plant clues fairly and leave questions open' },
+        horror:      { k: 6, tau: 0.09, instruction: 'build dread through implication rather than gore' },
+        downtime:    { k: 4, tau: 0.15, instruction: 'let the scene breathe with texture and quiet character moments' }
+    },
+
     // System
     system: {
         persistState: true,     // Save state between sessions
-        enableAnalytics: false  // Track metrics over time
+        enableAnalytics: false, // Track metrics over time
+        reportTurns: 12,        // Turns shown in the Writing Report sparklines
+        trimCutoffs: false,     // Trim outputs that stop mid-sentence; finish the sentence on Continue
+        normalizeActions: true, // Fix person, capitalization and dialogue quoting in Do/Story inputs
+        contextBudget: 0,       // Token budget for context plus injected guidance (0 = off)
+        autoEntityCards: true   // Story cards for new characters/places/factions
+    }
+};
+
+/**
+ * Snapshot of CONFIG as authored, used to restore defaults on /reset
+ */
+const CONFIG_DEFAULTS = JSON.parse(JSON.stringify(CONFIG));
+
+/**
+ * Allowed ranges for numeric options (enforced for commands and the config card)
+ */
+const CONFIG_LIMITS = {
+    vs: {
+        k: { min: 3, max: 10, integer: true },
+        tau: { min: 0.05, max: 0.20 }
+    },
+    bonepoke: {
+        fatigueThreshold: { min: 2, max: 10, integer: true },
+        phraseWindow: { min: 1, max: 10, integer: true },
+        qualityThreshold: { min: 1.0, max: 5.0 },
+        maxRegenAttempts: { min: 0, max: 3, integer: true },
+        agencyHandling: { options: ['trim', 'card', 'regen', 'off'] },
+        loopHandling: { options: ['trim', 'regen', 'off'] },
+        loopWindow: { min: 1, max: 10, integer: true },
+        correctionTurns: { min: 1, max: 10, integer: true },
+        arcWindow: { min: 3, max: 20, integer: true }
+    },
+    system: {
+        reportTurns: { min: 5, max: 30, integer: true },
+        contextBudget: { min: 500, max: 32000, integer: true, off: 0 }
     }
 };
 
@@ -78,7 +135,10 @@ const initState = () => {
             totalOutputs: 0,
             regenerations: 0,
             fatigueDetections: 0,
-            driftDetections: 0
+            driftDetections: 0,
+            leakFragments: 0,
+            loopOutputs: 0,
+            repeatedSentences: 0
         };
         state.dynamicCards = [];
         state.initialized = true;
@@ -86,6 +146,177 @@ const initState = () => {
     }
 };
 
+/**
+ * Whether runtime config changes should outlive the current hook
+ * An override of persistState itself is honored so it can be toggled in-game
+ */
+const isPersistEnabled = () => {
+    const override = state.configOverrides?.system?.persistState;
+    return override !== undefined ? override : CONFIG_DEFAULTS.system.persistState;
+};
+
+/**
+ * Apply runtime overrides stored in state on top of CONFIG
+ * The library is re-evaluated on every hook, so changes made by slash
+ * commands or the config card only survive between turns through
+ * state.configOverrides (and only while persistState is on)
+ */
+const applyConfigOverrides = () => {
+    if (!isPersistEnabled()) {
+        // The switch itself still applies, so CONFIG reports it truthfully
+        CONFIG.system.persistState = false;
+        safeLog('persistState is off - stored overrides are ignored', 'info');
+        return;
+    }
+
+    const overrides = state.configOverrides || {};
+
+    Object.entries(overrides).forEach(([section, values]) => {
+        if (!CONFIG[section]) return;
+
+        Object.entries(values).forEach(([key, value]) => {
+            if (key in CONFIG[section]) {
+                CONFIG[section][key] = value;
+            }
+        });
+    });
+};
+
+/**
+ * Set a CONFIG value for this hook and record it as a persistent override
+ * With persistState off only the switch itself is recorded, so a change
+ * made meanwhile doesn't resurface when persistence is turned back on
+ * @param {string} section - CONFIG section (vs, bonepoke, system)
+ * @param {string} key - Option name
+ * @param {*} value - Already validated value
+ */
+const setConfigOverride = (section, key, value) => {
+    CONFIG[section][key] = value;
+    if (!isPersistEnabled() && key !== 'persistState') return;
+
+    state.configOverrides = state.configOverrides || {};
+    state.configOverrides[section] = state.configOverrides[section] || {};
+    state.configOverrides[section][key] = value;
+};
+
+/**
+ * Convert a raw option value into boolean, number or string
+ * @param {string} raw - Value as typed by the player
+ * @returns {boolean|number|string} Parsed value
+ */
+const parseConfigValue = (raw) => {
+    if (typeof raw !== 'string') return raw;
+
+    const lower = raw.trim().toLowerCase();
+    if (['on', 'true', 'yes'].includes(lower)) return true;
+    if (['off', 'false', 'no'].includes(lower)) return false;
+    if (lower !== '' && !isNaN(Number(lower))) return Number(lower);
+    return raw.trim();
+};
+
+/**
+ * Check a value against the option's type and allowed range
+ * @param {string} section - CONFIG section
+ * @param {string} key - Option name
+ * @param {*} value - Parsed value
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateConfigValue = (section, key, value) => {
+    const expected = typeof CONFIG_DEFAULTS[section][key];
+    if (typeof value !== expected) {
+        return `${key} expects a ${expected}`;
+    }
+
+    const limit = CONFIG_LIMITS[section]?.[key];
+    if (!limit) return null;
+
+    if (limit.options) {
+        return limit.options.includes(value) ? null :
+            `${key} must be one of: ${limit.options.join(', ')}`;
+    }
+
+    if (limit.off !== undefined && value === limit.off) return null;
+
+    if (limit.integer && !Number.isInteger(value)) {
+        return `${key} must be a whole number`;
+    }
+    if (value < limit.min || value > limit.max) {
+        return `${key} must be between ${limit.min} and ${limit.max}` +
+            (limit.off !== undefined ? ` (or ${limit.off} for off)` : '');
+    }
+
+    return null;
+};
+
+/**
+ * Function words ignored by repetition analysis
+ */
+const STOPWORDS = new Set([
+    'a', 'an', 'the', 'and', 'or', 'but', 'if', 'then', 'than', 'so', 'as', 'at', 'by',
+    'for', 'from', 'in', 'into', 'of', 'on', 'onto', 'to', 'up', 'with', 'over', 'under',
+    'about', 'after', 'before', 'through', 'down', 'out', 'off', 'again', 'around',
+    'i', 'me', 'my', 'you', 'your', 'he', 'him', 'his', 'she', 'her', 'hers', 'it', 'its',
+    'we', 'us', 'our', 'they', 'them', 'their', 'theirs', 'this', 'that', 'these', 'those',
+    'is', 'am', 'are', 'was', 'were', 'be', 'been', 'being', 'have', 'has', 'had',
+    'do', 'does', 'did', 'will', 'would', 'shall', 'should', 'can', 'could', 'may', 'might',
+    'must', 'not', 'no', 'just', 'only', 'very', 'still', 'there', 'here', 'what', 'which',
+    'who', 'whom', 'when', 'where', 'while', 'how', 'all', 'some', 'any', 'each', 'more',
+    'most', 'other', 'such', 'own', 'same', 'too', 'now', 'even', 'back', 'like', 'yourself',
+    'himself', 'herself', 'itself', 'themselves', 'something', 'nothing', 'anything'
+]);
+
+/**
+ * Capitalized words that start sentences but are never names
+ */
+const NON_NAME_WORDS = new Set([
+    'The', 'A', 'An', 'You', 'Your', 'He', 'She', 'It', 'They', 'We', 'I',
+    'His', 'Her', 'Their', 'Its', 'My', 'Our', 'This', 'That', 'These', 'Those',
+    'But', 'And', 'Or', 'So', 'Yet', 'Then', 'When', 'As', 'If', 'While',
+    'With', 'In', 'On', 'At', 'To', 'From', 'By', 'For', 'Of', 'After', 'Before',
+    'There', 'Here', 'Now', 'Suddenly', 'Still', 'Finally', 'Meanwhile', 'Even',
+    'Just', 'Only', 'Somewhere', 'Something', 'Someone', 'Nothing', 'Everyone',
+    'What', 'Why', 'How', 'Who', 'Where', 'One', 'No', 'Yes', 'Oh', 'Perhaps',
+    // Time and place adverbs that open sentences ("Later Mara returns")
+    'Later', 'Soon', 'Once', 'Again', 'Afterwards', 'Afterward', 'Eventually', 'Instead',
+    'Today', 'Tonight', 'Tomorrow', 'Yesterday', 'Always', 'Never', 'Sometimes', 'Outside',
+    'Inside', 'Nearby', 'Above', 'Below', 'Beyond', 'Behind', 'Ahead', 'Overhead',
+    'Upstairs', 'Downstairs', 'Together', 'Alone', 'Elsewhere', 'Everywhere'
+]);
+
+// Given names that end in -ly, so they are not stripped as adverbs
+const LY_NAMES = new Set([
+    'Emily', 'Lily', 'Molly', 'Holly', 'Polly', 'Dolly', 'Sally', 'Kelly', 'Shelly',
+    'Nelly', 'Ally', 'Billy', 'Willy', 'Carly', 'Beverly', 'Kimberly'
+]);
+
+/**
+ * Strip leading non-name words from a captured name ("Then Mara" -> "Mara",
+ * "Slowly Mara" -> "Mara")
+ * @param {string} raw - Capitalized phrase
+ * @returns {string} Cleaned name, or '' if nothing name-like remains
+ */
+const cleanEntityName = (raw) => {
+    const words = (raw || '').trim().split(/\s+/);
+    const adverb = (word) => word.length > 3 && /ly$/.test(word) && !LY_NAMES.has(word);
+
+    while (words.length > 0 &&
+           (NON_NAME_WORDS.has(words[0]) || (words.length > 1 && adverb(words[0])))) {
+        words.shift();
+    }
+    return words.join(' ');
+};
+
+/**
+ * Tidy the whitespace left behind after sentences are cut out of a text
+ * @param {string} text
+ * @returns {string}
+ */
+const tidyCutText = (text) => text
+    .replace(/[ \t]{2,}/g, ' ')
+    .replace(/ +\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .replace(/\s+$/, '');
+
 // #endregion
 
 // #region Story Card Management
@@ -172,6 +403,212 @@ const removeCard = (title) => {
     return false;
 };
 
+/**
+ * Find a player-editable system card, creating it at the end of the list
+ * with its default entry if it doesn't exist
+ * @param {string} title - Card title
+ * @param {string} keys - Trigger keys (an @name that never matches story text)
+ * @param {string} entry - Default entry for a new card
+ * @param {string} [description=''] - Description for a new card
+ * @returns {{card: Object, created: boolean}}
+ */
+const ensureSystemCard = (title, keys, entry, description = '') => {
+    const card = getCard(c => c.title === title);
+    if (card) return { card, created: false };
+    return { card: buildCard(title, entry, "System", keys, description, storyCards.length), created: true };
+};
+
+/**
+ * Run each line of a card entry through a parser, skipping blanks and # comments
+ * @param {string} entry - Card text
+ * @param {Function} parseLine - (trimmed line) => error message, or nothing if accepted
+ * @returns {string[]} Errors for the rejected lines
+ */
+const parseCardLines = (entry, parseLine) => {
+    const errors = [];
+
+    (entry || '').split('\n').forEach(line => {
+        const clean = line.trim();
+        if (!clean || clean.startsWith('#')) return;
+
+        const error = parseLine(clean);
+        if (error) errors.push(error);
+    });
+
+    return errors;
+};
+
+/**
+ * Card description listing rejected lines, or the usual one if there are none
+ * @param {string[]} errors - Errors from parseCardLines
+ * @param {string} description - Description when every line was accepted
+ * @returns {string}
+ */
+const describeCardErrors = (errors, description) =>
+    errors.length > 0 ? `Rejected: ${errors.join('; ')}` : description;
+
+// #endregion
+
+// #region Leak Scrubber
+
+/**
+ * Registry of text the library injects, and an output filter for echoes of it
+ * Anything registered (VS protocol, guidance cards, the continue instruction)
+ * is stripped from outputs by word n-gram overlap, so slightly reworded leaks
+ * are caught without a regex per instruction.
+ */
+const LeakScrubber = (() => {
+    const NGRAM = 3;    // Words per shingle
+    const MIN_RUN = 5;  // Matched words before a span counts as a leak
+    const MAX_GAP = 2;  // Unmatched words bridged inside a span (changed numbers, typos)
+
+    const getRegistry = () => {
+        state.injectedText = state.injectedText || {};
+        return state.injectedText;
+    };
+
+    /**
+     * Register injected text, replacing earlier text from the same source
+     * Quoted excerpts (story phrases named in guidance) are left out so the
+     * story may still use them.
+     * @param {string} source - Card title or other stable name
+     * @param {string} text - Text as injected
+     */
+    const register = (source, text) => {
+        const template = (text || '').replace(/"[^"\n]*"/g, ' ').trim();
+        if (template) {
+            getRegistry()[source] = template;
+        } else {
+            unregister(source);
+        }
+    };
+
+    /**
+     * Forget a source (e.g. a retired correction card)
+     */
+    const unregister = (source) => {
+        delete getRegistry()[source];
+    };
+
+    /**
+     * Lowercased words with their character offsets
+     * Numbers become "#" so a leak with different k/tau values still matches
+     */
+    const tokenize = (text) => [...text.matchAll(/[A-Za-z']+|\d+(?:\.\d+)?/g)]
+        .map(m => ({
+            word: /^\d/.test(m[0]) ? '#' : m[0].toLowerCase(),
+            start: m.index,
+            end: m.index + m[0].length
+        }));
+
+    /**
+     * Widen a cut to its whole sentence when too little story would remain
+     * @returns {number[]} [start, end] character range to remove
+     */
+    const widenToSentence = (text, start, end) => {
+        const sentenceStart = (text.slice(0, start).match(/[\s\S]*[.!?\n]/) || [''])[0].length;
+        const after = text.slice(end).search(/[.!?\n]/);
+        let sentenceEnd = after === -1 ? text.length : end + after;
+        while (sentenceEnd < text.length && /[.!?"')\]]/.test(text[sentenceEnd])) sentenceEnd += 1;
+
+        const rest = tokenize(text.slice(sentenceStart, start) + ' ' + text.slice(end, sentenceEnd));
+        return rest.length < MIN_RUN ? [sentenceStart, sentenceEnd] : [start, end];
+    };
+
+    /**
+     * Shingles of every registered text
+     * Shingles made only of stopwords ("and the of") would match any prose
+     */
+    const buildIndex = () => {
+        const index = new Set();
+
+        Object.values(getRegistry()).forEach(text => {
+            const words = tokenize(text).map(t => t.word);
+            for (let i = 0; i + NGRAM <= words.length; i++) {
+                const gram = words.slice(i, i + NGRAM);
+                if (!gram.every(w => STOPWORDS.has(w))) {
+                    index.add(gram.join(' '));
+                }
+            }
+        });
+
+        return index;
+    };
+
+    /**
+     * Strip spans of the output that overlap registered text
+     * @param {string} text - Model output
+     * @returns {{text: string, removed: string[]}} Cleaned text and stripped fragments
+     */
+    const scrub = (text) => {
+        const index = buildIndex();
+        const tokens = tokenize(text);
+        if (index.size === 0 || tokens.length < NGRAM) return { text, removed: [] };
+
+        const matched = tokens.map(() => false);
+        for (let i = 0; i + NGRAM <= tokens.length; i++) {
+            const gram = tokens.slice(i, i + NGRAM).map(t => t.word).join(' ');
+            if (index.has(gram)) {
+                matched.fill(true, i, i + NGRAM);
+            }
+        }
+
+        // Group matched words into spans, bridging short gaps
+        const spans = [];
+        let gap = Infinity;
+        matched.forEach((hit, i) => {
+            if (!hit) {
+                gap += 1;
+                return;
+            }
+            if (gap <= MAX_GAP) {
+                spans[spans.length - 1].last = i;
+                spans[spans.length - 1].hits += 1;
+            } else {
+                spans.push({ first: i, last: i, hits: 1 });
+            }
+            gap = 0;
+        });
+
+        const leaks = spans.filter(s => s.hits >= MIN_RUN);
+        if (leaks.length === 0) return { text, removed: [] };
+
+        const removed = [];
+        let cleaned = text;
+
+        // Cut from the end so earlier offsets stay valid
+        leaks.reverse().forEach(({ first, last }) => {
+            let start = tokens[first].start;
+            let end = tokens[last].end;
+
+            // Take wrapping brackets, tags, list dashes and closing punctuation along
+            while (start > 0 && /[[(<\-*:\/ \t]/.test(cleaned[start - 1])) start -= 1;
+            while (end < cleaned.length && /[\])>.,;:!?\/*]/.test(cleaned[end])) end += 1;
+            [start, end] = widenToSentence(cleaned, start, end);
+
+            // A line removed whole takes its line break with it
+            if ((start === 0 || cleaned[start - 1] === '\n') && cleaned[end] === '\n') end += 1;
+
+            removed.unshift(cleaned.slice(start, end).trim());
+            cleaned = cleaned.slice(0, start) + ' ' + cleaned.slice(end);
+        });
+
+        cleaned = cleaned
+            .replace(/[ \t]{2,}/g, ' ')
+            .replace(/[ \t]+\n/g, '\n')
+            .replace(/\n[ \t]+/g, '\n')
+            .replace(/\n{3,}/g, '\n\n');
+
+        return { text: cleaned, removed };
+    };
+
+    return {
+        register,
+        unregister,
+        scrub
+    };
+})();
+
 // #endregion
 
 // #region Verbalized Sampling
@@ -184,42 +621,66 @@ const VerbalizedSampling = (() => {
     const VS_CARD_TITLE = "VS_System";
 
     /**
-     * Generate VS instruction based on current config
+     * Generate VS instruction
+     * @param {Object} [params=CONFIG.vs] - { k, tau, instructions? } for this turn
+     * @param {boolean} [compact=false] - One-line form for a tight context budget
      */
-    const generateInstruction = () => {
+    const generateInstruction = (params = CONFIG.vs, compact = false) => {
         if (!CONFIG.vs.enabled) return '';
 
-        const { k, tau } = CONFIG.vs;
+        const { k, tau, instructions = [] } = params;
+
+        if (compact) {
+            return `[Internal Sampling Protocol: silently weigh ${k} continuations, pick one with p < ${tau}, ` +
+                'output only that one and never mention this process]';
+        }
+
+        const sceneLines = instructions.map(i => `\n- for this scene, ${i}`).join('');
 
         return `[Internal Sampling Protocol:
 - mentally generate ${k} distinct seamless candidate continuations
 - for each candidate, estimate its probability p (how typical/likely it would be)
 - only consider candidates where p < ${tau} (from the unlikely tails of the distribution)
 - randomly select one of these low-probability candidates
-- output ONLY the selected continuation as your natural response
+- output ONLY the selected continuation as your natural response${sceneLines}
 - never mention this process, probabilities, or candidates in your output]`;
     };
 
     /**
-     * Analyze context and suggest adaptive parameters
+     * Analyze context and suggest per-turn parameters
+     * Scene profiles are blended by classifier confidence; whatever confidence
+     * is left over goes to the base CONFIG.vs values. CONFIG is never modified.
+     * @param {string} context - Context text
+     * @returns {{k: number, tau: number, scenes: Object[], instructions: string[]}}
      */
     const analyzeContext = (context) => {
-        if (!CONFIG.vs.adaptive) return { k: CONFIG.vs.k, tau: CONFIG.vs.tau };
+        const base = { k: CONFIG.vs.k, tau: CONFIG.vs.tau, scenes: [], instructions: [] };
+        if (!CONFIG.vs.adaptive) return base;
 
-        const isDialogue = context.includes('"') || /\bsaid\b/i.test(context);
-        const isAction = /\b(run|fight|move|open|close|attack)\b/i.test(context);
-        const isDescriptive = context.length > 500;
+        const scenes = SceneClassifier.classify(context)
+            .filter(s => CONFIG.sceneProfiles[s.scene]);
+        if (scenes.length === 0) return base;
 
-        // Adapt parameters based on context type
-        if (isDialogue) {
-            return { k: 7, tau: 0.12 };  // More variety in speech
-        } else if (isAction) {
-            return { k: 5, tau: 0.08 };  // Surprising but coherent actions
-        } else if (isDescriptive) {
-            return { k: 4, tau: 0.15 };  // Moderate for descriptions
-        }
+        const total = scenes.reduce((sum, s) => sum + s.confidence, 0);
+        const baseWeight = Math.max(0, 1 - total);
+        const weightSum = total + baseWeight;
 
-        return { k: CONFIG.vs.k, tau: CONFIG.vs.tau };
+        const blend = (key) => (scenes.reduce((sum, s) =>
+            sum + s.confidence * CONFIG.sceneProfiles[s.scene][key], 0) + baseWeight * base[key]) / weightSum;
+
+        const { k: kLimit, tau: tauLimit } = CONFIG_LIMITS.vs;
+        const clamp = (value, { min, max }) => Math.min(max, Math.max(min, value));
+
+        return {
+            k: clamp(Math.round(blend('k')), kLimit),
+            tau: Math.round(clamp(blend('tau'), tauLimit) * 100) / 100,
+            scenes,
+            // Only confident scenes contribute instructions
+            instructions: scenes
+                .filter(s => s.confidence >= 0.5 && CONFIG.sceneProfiles[s.scene].instruction)
+                .slice(0, 2)
+                .map(s => CONFIG.sceneProfiles[s.scene].instruction)
+        };
     };
 
     /**
@@ -240,16 +701,19 @@ const VerbalizedSampling = (() => {
             safeLog('VS card created', 'success');
         }
 
+        LeakScrubber.register(VS_CARD_TITLE, card.entry);
         return card;
     };
 
     /**
      * Update VS card with current instruction
+     * @param {Object} [params=CONFIG.vs] - Per-turn parameters from analyzeContext
      */
-    const updateCard = () => {
+    const updateCard = (params = CONFIG.vs) => {
         const card = ensureCard();
         if (card) {
-            card.entry = generateInstruction();
+            card.entry = generateInstruction(params);
+            LeakScrubber.register(VS_CARD_TITLE, card.entry);
         }
     };
 
@@ -258,372 +722,4407 @@ const VerbalizedSampling = (() => {
         analyzeContext,
         ensureCard,
         updateCard,
-        getInstruction: () => {
+        getInstruction: (params = CONFIG.vs, compact = false) => {
             ensureCard();
-            return generateInstruction();
+            const instruction = generateInstruction(params, compact);
+            LeakScrubber.register('vsInstruction', instruction);
+            return instruction;
         }
     };
 })();
 
 // #endregion
 
-// #region Bonepoke Protocol
+// #region Text Segmentation
 
 /**
- * Bonepoke Quality Analysis System
- * Detects: contradictions, fatigue, drift, quality issues
+ * Sentence and dialogue segmenter shared by all analyzers
+ * Handles abbreviations ("Mr."), ellipses, decimals, ?/! runs and quoted
+ * dialogue spanning several sentences. Quoted speech is segmented apart
+ * from its attribution, so '"Run!" Mara shouted.' yields a dialogue
+ * segment (speaker: Mara) and a narration segment.
  */
-const BonepokeAnalysis = (() => {
+const TextSegmenter = (() => {
+    const ABBREVIATIONS = new Set([
+        'mr', 'mrs', 'ms', 'dr', 'st', 'sr', 'jr', 'prof', 'capt', 'col', 'gen',
+        'lt', 'sgt', 'mt', 'vs', 'etc', 'no', 'vol', 'fig', 'ft', 'e.g', 'i.e'
+    ]);
 
-    /**
-     * Detect logical contradictions in text
-     */
-    const detectContradictions = (fragment) => {
-        const lines = fragment.toLowerCase().split('.');
-        return lines.filter(line =>
-            ['already', 'still', 'again'].some(t => line.includes(t)) &&
-            line.includes('not')
-        ).map(l => l.trim());
-    };
+    const SPEECH_VERBS = 'said|says|asked|asks|replied|replies|whispered|whispers|shouted|shouts|' +
+        'muttered|mutters|called|calls|answered|answers|added|adds|snapped|snaps|cried|cries|' +
+        'yelled|yells|murmured|murmurs|continued|continues|growled|growls|hissed|hisses|' +
+        'say|ask|reply|whisper|shout|mutter|answer|snap|yell|murmur|growl|hiss';  // "you say"/"they ask"
+    const SPEAKER = "([A-Z][a-z]+(?: [A-Z][a-z]+)?|[Hh]e|[Ss]he|[Tt]hey|[Yy]ou|I)";
+
+    // Attribution right after a quote: ', Mara said' / 'she asked' / 'said Mara'
+    const AFTER_QUOTE = new RegExp(`^[\\s,]*(?:${SPEAKER}\\s+(?:${SPEECH_VERBS})\\b|(?:${SPEECH_VERBS})\\s+([A-Z][a-z]+(?: [A-Z][a-z]+)?))`);
+    // Attribution right before a quote: 'Mara said, ' / 'Mara asks:' / 'said Tomas, '
+    const BEFORE_QUOTE = new RegExp(`(?:${SPEAKER}\\s+(?:${SPEECH_VERBS})(?:\\s+\\w+)?|(?:${SPEECH_VERBS})\\s+([A-Z][a-z]+(?: [A-Z][a-z]+)?))[,:]?\\s*$`);
 
     /**
-     * Track word repetition (fatigue)
+     * Split text into alternating narration and quoted spans
+     * Straight quotes toggle; curly quotes open/close explicitly
      */
-    const traceFatigue = (fragment) => {
-        const words = fragment.toLowerCase()
-            .replace(/[^\w\s]/g, ' ')
-            .split(/\s+/)
-            .filter(w => w.length > 3);  // Ignore short words
+    const splitQuotes = (text) => {
+        const spans = [];
+        let start = 0;
+        let quoted = false;
 
-        const counts = {};
-        words.forEach(w => counts[w] = (counts[w] || 0) + 1);
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
 
-        return Object.fromEntries(
-            Object.entries(counts).filter(([w, c]) => c >= CONFIG.bonepoke.fatigueThreshold)
-        );
+            if (!quoted && (ch === '"' || ch === '“')) {
+                if (i > start) spans.push({ start, end: i, quoted: false });
+                start = i;
+                quoted = true;
+            } else if (quoted && (ch === '"' || ch === '”')) {
+                spans.push({ start, end: i + 1, quoted: true });
+                start = i + 1;
+                quoted = false;
+            }
+        }
+
+        // An unclosed quote runs to the end of the text
+        if (start < text.length) spans.push({ start, end: text.length, quoted });
+        return spans;
     };
 
     /**
-     * Detect ungrounded system-speak (drift)
+     * Find sentence ranges inside one span
      */
-    const detectDrift = (fragment) => {
-        const lines = fragment.split('.');
-        const systemTerms = ['system', 'sequence', 'signal', 'process', 'loop', 'protocol'];
-        const actionVerbs = ['pressed', 'moved', 'spoke', 'acted', 'responded', 'decided', 'changed'];
+    const splitSpan = (text, start, end) => {
+        const ranges = [];
+        let segStart = start;
+
+        for (let i = start; i < end; i++) {
+            const ch = text[i];
 
-        return lines.filter(line => {
-            // Ignore lines that are pure dialogue (between quotes)
-            if (/^[^"]*"[^"]*"[^"]*$/.test(line.trim())) {
-                return false;
+            if (ch === '\n') {
+                ranges.push([segStart, i]);
+                segStart = i + 1;
+                continue;
             }
+            if (!/[.!?…]/.test(ch)) continue;
 
-            // Check for system terms without action verbs
-            return systemTerms.some(t => line.toLowerCase().includes(t)) &&
-                   !actionVerbs.some(a => line.toLowerCase().includes(a));
-        }).map(l => l.trim());
+            // Swallow the whole terminator run plus closing quotes/brackets
+            let j = i;
+            while (j + 1 < end && /[.!?…]/.test(text[j + 1])) j++;
+            let k = j;
+            while (k + 1 < end && /["”')\]]/.test(text[k + 1])) k++;
+
+            // "3.5", "e.g" - a terminator glued to the next character
+            if (k + 1 < end && !/\s/.test(text[k + 1])) {
+                i = j;
+                continue;
+            }
+
+            const run = text.slice(i, j + 1);
+            const word = (text.slice(segStart, i).match(/(\S+)$/) || ['', ''])[1]
+                .replace(/^[^\w]+/, '');
+
+            // "Mr." / "J." are not sentence ends
+            if (run === '.' && (ABBREVIATIONS.has(word.toLowerCase()) || /^[A-Z]$/.test(word))) {
+                i = j;
+                continue;
+            }
+
+            // Ellipses only end a sentence when a new one clearly starts
+            if (/^(\.\.\.|…)/.test(run) && !/[!?]/.test(run)) {
+                const after = text.slice(k + 1, end).match(/^\s*(\S)/);
+                if (after && !/[A-Z"“]/.test(after[1])) {
+                    i = j;
+                    continue;
+                }
+            }
+
+            ranges.push([segStart, k + 1]);
+            segStart = k + 1;
+            i = k;
+        }
+
+        ranges.push([segStart, end]);
+        return ranges;
     };
 
     /**
-     * Calculate MARM (Meta-Aware Recursion Monitor) status
+     * Find the speaker of a quoted span from its neighbouring narration
      */
-    const calculateMarm = (fragment, contradictions, fatigue, drift) => {
-        let score = 0;
-        const text = fragment.toLowerCase();
-
-        // Meta-awareness terms
-        if (['ache', 'loop', 'shimmer', 'echo', 'recursive'].some(t => text.includes(t))) {
-            score += 1;
+    const findSpeaker = (text, spans, index) => {
+        const next = spans[index + 1];
+        if (next && !next.quoted) {
+            const match = text.slice(next.start, next.end).match(AFTER_QUOTE);
+            if (match) return match[1] || match[2];
         }
 
-        score += Math.min(contradictions.length, 2);
-        score += Object.keys(fatigue).length > 0 ? 1 : 0;
-        score += drift.length > 0 ? 1 : 0;
+        const prev = spans[index - 1];
+        if (prev && !prev.quoted) {
+            const match = text.slice(prev.start, prev.end).match(BEFORE_QUOTE);
+            if (match) return match[1] || match[2];
+        }
 
-        if (score >= 3) return 'MARM: active';
-        if (score === 2) return 'MARM: flicker';
-        return 'MARM: suppressed';
+        return null;
     };
 
     /**
-     * Score output across quality dimensions
+     * Segment text into sentences with offsets and dialogue flags
+     * @param {string} text - Text to segment
+     * @returns {Array<{text: string, start: number, end: number, dialogue: boolean,
+     *   speaker: string|null, paragraph: number}>} Segments in order
      */
-    const scoreOutput = (composted) => {
-        const fragment = composted.fragment;
-        const scores = {};
+    const segment = (text) => {
+        if (!text) return [];
 
-        // Emotional Strength
-        const hasEmotion = ['felt', 'cried', 'laughed', 'trembled', 'ache'].some(e =>
-            fragment.toLowerCase().includes(e)
-        );
-        scores['Emotional Strength'] = hasEmotion ? 4 : 2;
+        const spans = splitQuotes(text);
+        const segments = [];
 
-        // Story Flow
-        const hasContradictions = composted.contradictions.length > 0;
-        const hasDrift = composted.drift.length > 0;
-        scores['Story Flow'] = hasContradictions || hasDrift ? 1 : 5;
+        spans.forEach((span, index) => {
+            const speaker = span.quoted ? findSpeaker(text, spans, index) : null;
 
-        // Character Clarity
-        const hasCharacter = ['he', 'she', 'i', 'you'].some(p =>
-            new RegExp(`\\b${p}\\b`, 'i').test(fragment)
-        );
-        scores['Character Clarity'] = hasCharacter ? 4 : 2;
+            splitSpan(text, span.start, span.end).forEach(([start, end]) => {
+                while (start < end && /\s/.test(text[start])) start++;
+                while (end > start && /\s/.test(text[end - 1])) end--;
 
-        // Dialogue Weight
-        const hasDialogue = fragment.includes('"') || /\bsaid\b/i.test(fragment);
-        scores['Dialogue Weight'] = hasDialogue ? 4 : 2;
+                const slice = text.slice(start, end);
+                if (!/[A-Za-z0-9]/.test(slice)) return;
 
-        // Fatigue Check
-        const hasFatigue = Object.keys(composted.fatigue).length > 0;
-        scores['Word Variety'] = hasFatigue ? 1 : 5;
+                segments.push({
+                    text: slice,
+                    start,
+                    end,
+                    dialogue: span.quoted,
+                    speaker,
+                    paragraph: (text.slice(0, start).match(/\n+/g) || []).length
+                });
+            });
+        });
 
-        return scores;
+        return segments;
     };
 
     /**
-     * Generate salvage suggestions
+     * Sentence strings only, optionally filtered to narration or dialogue
+     * @param {string} text - Text to segment
+     * @param {Object} [options]
+     * @param {boolean} [options.dialogue] - true = dialogue only, false = narration only
+     * @returns {string[]} Sentences
      */
-    const generateSuggestions = (composted) => {
-        const suggestions = [];
+    const sentences = (text, { dialogue } = {}) =>
+        segment(text)
+            .filter(s => dialogue === undefined || s.dialogue === dialogue)
+            .map(s => s.text);
 
-        composted.contradictions.forEach(line => {
-            suggestions.push(`Contradiction: "${line}" - clarify temporal logic`);
-        });
+    return {
+        segment,
+        sentences
+    };
+})();
 
-        composted.drift.forEach(line => {
-            suggestions.push(`Ungrounded: "${line}" - add concrete action`);
-        });
+// #endregion
 
-        Object.entries(composted.fatigue).forEach(([word, count]) => {
-            suggestions.push(`Overused: "${word}" (${count}x) - use synonyms`);
-        });
+// #region Scene Classification
 
-        return suggestions;
+/**
+ * Multi-label scene classifier
+ * Scores the recent part of the context against a keyword lexicon per scene
+ * (dialogue uses the segmenter's dialogue share instead) and returns every
+ * scene above a minimum confidence.
+ */
+const SceneClassifier = (() => {
+    const WINDOW = 2000;            // Characters of recent context to classify
+    const SATURATION = 3;           // Keyword hits per 100 words for full confidence
+    const MIN_HITS = 3;             // Fewer hits scale confidence down (one "blood" isn't horror)
+    const MIN_CONFIDENCE = 0.25;
+
+    const LEXICON = {
+        combat: ['attack', 'strike', 'sword', 'blade', 'fight', 'punch', 'dodge', 'parry', 'swing',
+                 'shield', 'arrow', 'wound', 'enemy', 'battle', 'charge', 'slash', 'stab', 'shoot',
+                 'lunge', 'block', 'cudgel', 'axe', 'spear', 'blow'],
+        exploration: ['path', 'road', 'corridor', 'door', 'forest', 'cave', 'explore', 'map', 'climb',
+                      'north', 'south', 'east', 'west', 'ruins', 'discover', 'travel', 'valley',
+                      'ridge', 'trail', 'horizon', 'passage', 'river', 'bridge'],
+        romance: ['kiss', 'blush', 'embrace', 'lips', 'tender', 'love', 'gaze', 'cheek', 'intimate',
+                  'caress', 'longing', 'beloved', 'flirt', 'desire'],
+        mystery: ['clue', 'secret', 'strange', 'letter', 'hidden', 'investigate', 'suspect', 'evidence',
+                  'riddle', 'missing', 'mystery', 'puzzle', 'symbol', 'cipher', 'rumor', 'unknown'],
+        horror: ['scream', 'shadow', 'dread', 'rot', 'corpse', 'creak', 'terror', 'monster', 'flicker',
+                 'blood', 'whimper', 'claw', 'eerie', 'ghost', 'grave', 'howl', 'decay'],
+        downtime: ['tavern', 'meal', 'rest', 'sleep', 'fire', 'bath', 'laugh', 'drink', 'chat', 'relax',
+                   'camp', 'inn', 'eat', 'tea', 'cider', 'ale', 'mug', 'supper', 'breakfast']
     };
 
+    // Whole-word, plural/inflection-tolerant patterns ("swords", "attacked")
+    const PATTERNS = Object.fromEntries(Object.entries(LEXICON).map(([scene, words]) =>
+        [scene, new RegExp(`\\b(?:${words.join('|')})(?:s|es|ed|ing)?\\b`, 'gi')]
+    ));
+
     /**
-     * Perform complete analysis
+     * Classify text into scene labels
+     * @param {string} text - Context (only the most recent part is used)
+     * @returns {Array<{scene: string, confidence: number}>} Labels, most confident first
      */
-    const analyze = (fragment) => {
-        if (!CONFIG.bonepoke.enabled || !fragment) {
-            return null;
-        }
-
-        const contradictions = detectContradictions(fragment);
-        const fatigue = traceFatigue(fragment);
-        const drift = detectDrift(fragment);
-        const marm = calculateMarm(fragment, contradictions, fatigue, drift);
+    const classify = (text) => {
+        const recent = (text || '').slice(-WINDOW);
+        const words = recent.split(/\s+/).filter(w => /\w/.test(w)).length;
+        if (words === 0) return [];
 
-        const composted = {
-            fragment,
-            contradictions,
-            fatigue,
-            drift,
-            marm,
-            timestamp: Date.now()
-        };
+        const round = (n) => Math.round(Math.min(1, n) * 100) / 100;
+        const scores = {};
 
-        const scores = scoreOutput(composted);
-        const suggestions = generateSuggestions(composted);
+        Object.entries(PATTERNS).forEach(([scene, re]) => {
+            const hits = (recent.match(re) || []).length;
+            scores[scene] = round(Math.min(1, hits / words * 100 / SATURATION) * Math.min(1, hits / MIN_HITS));
+        });
 
-        const avgScore = Object.values(scores).reduce((a, b) => a + b, 0) /
-                        Object.keys(scores).length;
+        // Dialogue: share of sentences spoken aloud (half the text in quotes = full confidence)
+        const segments = TextSegmenter.segment(recent);
+        const spoken = segments.filter(s => s.dialogue).length;
+        scores.dialogue = segments.length > 0 ? round(spoken / segments.length * 2) : 0;
 
-        return {
-            composted,
-            scores,
-            avgScore,
-            suggestions,
-            quality: avgScore >= 4 ? 'excellent' :
-                    avgScore >= 3 ? 'good' :
-                    avgScore >= 2 ? 'fair' : 'poor'
-        };
+        return Object.entries(scores)
+            .filter(([, confidence]) => confidence >= MIN_CONFIDENCE)
+            .sort((a, b) => b[1] - a[1])
+            .map(([scene, confidence]) => ({ scene, confidence }));
     };
 
     return {
-        analyze,
-        detectContradictions,
-        traceFatigue,
-        detectDrift,
-        scoreOutput,
-        generateSuggestions
+        classify
     };
 })();
 
 // #endregion
 
-// #region Dynamic Correction System
+// #region Continuity Tracking
 
 /**
- * Manages dynamic story cards for corrective guidance
+ * Entity-state tracker for cross-turn continuity errors
+ * Extracts simple facts about named characters from each accepted output
+ * (alive/dead, location, held items, injuries, relationships) and flags
+ * later text that contradicts them
  */
-const DynamicCorrection = (() => {
-    const CARD_PREFIX = "DynamicCorrection_";
+const ContinuityTracker = (() => {
+    const MAX_ENTITIES = 40;
+    const MAX_SOURCE_LENGTH = 100;
 
-    /**
-     * Create correction card for fatigue
+    const NAME = "([A-Z][a-z]+(?: [A-Z][a-z]+)?)";
+    // A name as the object of a verb, but not a possessive ("killed Mara's dog" says nothing about Mara)
+    const OBJECT = `${NAME}(?!'s)`;
+    const PHRASE = "([a-z]+(?: [a-z]+)?)";
+    const PART = "(?:left |right )?(arm|leg|hand|ankle|wrist|shoulder|knee|foot)";
+    const PLACE = "(the [a-z]+(?: [a-z]+)?)";
+    const RELATION = "(brother|sister|father|mother|son|daughter|husband|wife|uncle|aunt|cousin|grandfather|grandmother)";
+
+    // Trailing words that end a captured noun phrase early ("the kitchen and")
+    const PHRASE_STOPS = new Set([
+        'and', 'or', 'but', 'with', 'as', 'to', 'in', 'at', 'on', 'from', 'into',
+        'tightly', 'close', 'high', 'again', 'away', 'back', 'up', 'down', 'while'
+    ]);
+
+    const PATTERNS = [
+        { type: 'dead', re: `\\b${NAME} (?:is|was|lies|lay) (?:dead|lifeless|slain)\\b` },
+        { type: 'dead', re: `\\b${NAME} (?:dies|died|perishes|perished|breathes (?:his|her|their) last|breathed (?:his|her|their) last)\\b` },
+        { type: 'dead', re: `\\b${NAME} (?:is|was|has been|had been) (?:killed|slain|murdered|executed)\\b` },
+        { type: 'dead', re: `\\b(?:killed|kills|slew|slays|murdered|murders|executed|executes) ${OBJECT}\\b` },
+        { type: 'dead', re: `\\b${NAME}'s (?:corpse|lifeless body)\\b` },
+        { type: 'alive', re: `\\b${NAME} (?:is|was) (?:still )?alive\\b` },
+        { type: 'alive', re: `\\b${NAME} (?:survives|survived|revives|revived|comes back to life|came back to life|returns from the dead|returned from the dead)\\b` },
+        { type: 'acts', re: `\\b${NAME} (?:says|said|speaks|spoke|asks|asked|replies|replied|shouts|shouted|whispers|whispered|laughs|laughed|smiles|smiled|nods|nodded|grins|grinned|frowns|frowned|sighs|sighed|shrugs|shrugged|waves|waved|reaches|reached|opens|opened)\\b` },
+        { type: 'acts', re: `\\b(?:says|said|asks|asked|replies|replied|whispers|whispered) ${OBJECT}\\b` },
+        { type: 'moves', re: `\\b${NAME} (?:goes|went|walks|walked|runs|ran|arrives|arrived|enters|entered|leaves|left|returns|returned|heads|headed|moves|moved|steps|stepped|climbs|climbed|rides|rode|travels|traveled|comes|came|follows|followed|hurries|hurried|flees|fled|wanders|wandered|strides|strode|rushes|rushed)(?: (?:to|into|toward|towards|through|back to) ${PLACE})?` },
+        { type: 'exerts', re: `\\b${NAME} (?:runs|ran|sprints|sprinted|leaps|leapt|leaped|jumps|jumped|dances|danced|kicks|kicked|climbs|climbed)\\b` },
+        { type: 'at', re: `\\b${NAME} (?:is|was|stands|stood|sits|sat|waits|waited|remains|remained|sleeps|slept|hides|hid) (?:in|at|inside) ${PLACE}` },
+        { type: 'holds', re: `\\b${NAME} (?:holds|held|clutches|clutched|grips|gripped|carries|carried|wields|wielded|draws|drew|raises|raised|swings|swung|picks up|picked up|takes|took|grabs|grabbed) (?:his|her|their|the|a|an) ${PHRASE}` },
+        { type: 'releases', re: `\\b${NAME} (?:drops|dropped|loses|lost|sheathes|sheathed|throws|threw|puts down|put down|hands over|handed over|gives away|gave away) (?:his|her|their|the|a|an) ${PHRASE}` },
+        { type: 'destroyed', re: `\\b${NAME}'s ${PHRASE} (?:shatters|shattered|breaks|broke|snaps|snapped|crumbles|crumbled|splinters|splintered|is destroyed|was destroyed)\\b` },
+        { type: 'injured', re: `\\b${NAME}'s ${PART} (?:is|was) (?:broken|shattered|wounded|injured|useless|bleeding|twisted|sprained)\\b` },
+        { type: 'injured', re: `\\b${NAME} (?:breaks|broke|injures|injured|twists|twisted|sprains|sprained|wounds|wounded|hurts|hurt) (?:his|her|their) ${PART}\\b` },
+        { type: 'healed', re: `\\b${NAME}'s ${PART} (?:heals|healed|has healed|is healed|mends|mended)\\b` },
+        { type: 'healed', re: `\\b${NAME} (?:is|was) (?:fully )?healed\\b` },
+        { type: 'relation', re: `\\b${NAME} (?:is|was) ${NAME}'s ${RELATION}\\b` },
+        { type: 'relation', re: `\\b${NAME}'s ${RELATION},? ${OBJECT}\\b`, inverted: true }
+    ].map(p => ({ ...p, re: new RegExp(p.re, 'g') }));
+
+    const LEG_PARTS = ['leg', 'ankle', 'knee', 'foot'];
+
+    /**
+     * Reduce a captured phrase to its head noun ("old sword" -> "sword")
+     */
+    const headNoun = (phrase) => {
+        const words = (phrase || '').split(' ').filter(w => !PHRASE_STOPS.has(w));
+        return words[words.length - 1] || '';
+    };
+
+    /**
+     * Trim trailing stop words from a location ("the kitchen and" -> "the kitchen")
+     */
+    const cleanPlace = (phrase) => {
+        const words = (phrase || '').split(' ');
+        while (words.length > 1 && PHRASE_STOPS.has(words[words.length - 1])) words.pop();
+        return words.join(' ');
+    };
+
+    /**
+     * Extract ordered fact events from one sentence
+     */
+    const extractEvents = (sentence) => {
+        const events = [];
+
+        PATTERNS.forEach(({ type, re, inverted }) => {
+            re.lastIndex = 0;
+            for (const match of sentence.matchAll(re)) {
+                const entity = cleanEntityName(inverted ? match[3] : match[1]);
+                if (!entity) continue;
+
+                const event = { type, entity, index: match.index };
+
+                if (type === 'moves' || type === 'at') {
+                    event.place = match[2] ? cleanPlace(match[2]) : null;
+                } else if (['holds', 'releases', 'destroyed'].includes(type)) {
+                    event.item = headNoun(match[2]);
+                    if (!event.item) continue;
+                } else if (type === 'injured' || type === 'healed') {
+                    event.part = match[2] || null;
+                } else if (type === 'relation') {
+                    event.other = cleanEntityName(inverted ? match[1] : match[2]);
+                    event.relation = inverted ? match[2] : match[3];
+                    if (!event.other || event.other === entity) continue;
+                }
+
+                events.push(event);
+            }
+        });
+
+        return events.sort((a, b) => a.index - b.index);
+    };
+
+    /**
+     * Events for one segment: facts from narration, and the speaker acting
+     * for dialogue (reported speech like "Tomas died," is not a fact)
+     */
+    const segmentEvents = (segment) => {
+        if (!segment.dialogue) return extractEvents(segment.text);
+
+        const speaker = cleanEntityName(segment.speaker);
+        return speaker && /^[A-Z]/.test(speaker) ?
+            [{ type: 'acts', entity: speaker, index: 0 }] : [];
+    };
+
+    /**
+     * Get or create the fact record for an entity
+     */
+    const entityFacts = (entities, name) => {
+        entities[name] = entities[name] || { items: [], destroyed: {}, injuries: {}, relations: {} };
+        return entities[name];
+    };
+
+    /**
+     * Describe the established fact an event contradicts, or null
+     */
+    const findConflict = (facts, event, turn) => {
+        if (!facts) return null;
+        const { entity } = event;
+
+        if (facts.status === 'dead' && ['acts', 'moves', 'exerts', 'holds'].includes(event.type)) {
+            return `${entity} died (turn ${facts.statusTurn})`;
+        }
+
+        if (event.type === 'at' && event.place && facts.location &&
+            facts.location !== event.place && facts.locationTurn >= turn - 1) {
+            return `${entity} was last placed in ${facts.location} (turn ${facts.locationTurn})`;
+        }
+
+        if (event.type === 'holds' && facts.destroyed[event.item] !== undefined) {
+            return `${entity}'s ${event.item} was destroyed (turn ${facts.destroyed[event.item]})`;
+        }
+
+        if (event.type === 'exerts') {
+            const injured = LEG_PARTS.find(p => facts.injuries[p] !== undefined);
+            if (injured) {
+                return `${entity} has an injured ${injured} (turn ${facts.injuries[injured]})`;
+            }
+        }
+
+        if (event.type === 'relation') {
+            const known = facts.relations[event.other];
+            if (known && known.relation !== event.relation) {
+                return `${entity} is ${event.other}'s ${known.relation} (turn ${known.turn})`;
+            }
+        }
+
+        return null;
+    };
+
+    /**
+     * Update an entity's facts with an event
+     */
+    const applyEvent = (entities, event, turn, source) => {
+        const facts = entityFacts(entities, event.entity);
+        facts.lastSeen = turn;
+
+        switch (event.type) {
+            case 'dead':
+            case 'alive':
+                facts.status = event.type;
+                facts.statusTurn = turn;
+                facts.statusSource = source;
+                break;
+            case 'moves':
+            case 'at':
+                facts.location = event.place;
+                facts.locationTurn = turn;
+                facts.locationSource = source;
+                break;
+            case 'holds':
+                if (!facts.items.includes(event.item)) facts.items.push(event.item);
+                break;
+            case 'releases':
+                facts.items = facts.items.filter(i => i !== event.item);
+                break;
+            case 'destroyed':
+                facts.items = facts.items.filter(i => i !== event.item);
+                facts.destroyed[event.item] = turn;
+                break;
+            case 'injured':
+                facts.injuries[event.part] = turn;
+                break;
+            case 'healed':
+                if (event.part) {
+                    delete facts.injuries[event.part];
+                } else {
+                    facts.injuries = {};
+                }
+                break;
+            case 'relation':
+                facts.relations[event.other] = { relation: event.relation, turn, source };
+                break;
+        }
+    };
+
+    /**
+     * Copy stored facts, dropping any established by text inside the fragment
+     * (so re-analyzing recent history doesn't flag text against itself)
+     */
+    const factsExcluding = (fragment) => {
+        const entities = JSON.parse(JSON.stringify(state.continuity?.entities || {}));
+        const inFragment = (source) => source && fragment.includes(source);
+
+        Object.values(entities).forEach(facts => {
+            if (inFragment(facts.statusSource)) {
+                delete facts.status;
+            }
+            if (inFragment(facts.locationSource)) {
+                delete facts.location;
+            }
+            Object.entries(facts.relations).forEach(([other, rel]) => {
+                if (inFragment(rel.source)) delete facts.relations[other];
+            });
+        });
+
+        return entities;
+    };
+
+    /**
+     * Find sentences that contradict established entity facts
+     * Read-only: facts are only stored by record()
+     * @param {string} fragment - Text to check
+     * @param {Object[]} [segments] - Pre-computed TextSegmenter segments
+     * @returns {Array<{entity: string, fact: string, line: string}>} Conflicts
+     */
+    const check = (fragment, segments = TextSegmenter.segment(fragment)) => {
+        if (!fragment) return [];
+
+        const entities = factsExcluding(fragment);
+        const turn = (state.continuity?.turn || 0) + 1;
+        const conflicts = [];
+
+        segments.forEach(segment => {
+            segmentEvents(segment).forEach(event => {
+                const fact = findConflict(entities[event.entity], event, turn);
+                if (fact && !conflicts.some(c => c.fact === fact && c.line === segment.text)) {
+                    conflicts.push({ entity: event.entity, fact, line: segment.text });
+                }
+                applyEvent(entities, event, turn, null);
+            });
+        });
+
+        return conflicts;
+    };
+
+    /**
+     * Store the facts established by an accepted output
+     * @param {string} fragment - Accepted AI output
+     */
+    const record = (fragment) => {
+        if (!fragment) return;
+
+        state.continuity = state.continuity || { turn: 0, entities: {} };
+        state.continuity.turn += 1;
+
+        const { entities, turn } = state.continuity;
+
+        TextSegmenter.segment(fragment).forEach(segment => {
+            const source = segment.text.slice(0, MAX_SOURCE_LENGTH);
+            segmentEvents(segment).forEach(event => applyEvent(entities, event, turn, source));
+        });
+
+        // Forget the least recently seen entities
+        const names = Object.keys(entities);
+        if (names.length > MAX_ENTITIES) {
+            names
+                .sort((a, b) => entities[a].lastSeen - entities[b].lastSeen)
+                .slice(0, names.length - MAX_ENTITIES)
+                .forEach(name => delete entities[name]);
+        }
+    };
+
+    /**
+     * Get stored facts for an entity (or all entities)
+     */
+    const getFacts = (name) => {
+        const entities = state.continuity?.entities || {};
+        return name ? entities[name] || null : entities;
+    };
+
+    return {
+        check,
+        record,
+        getFacts,
+        extractEvents,
+        segmentEvents
+    };
+})();
+
+// #endregion
+
+// #region Entity Cards
+
+/**
+ * Automatic story cards for characters, places and factions the AI invents
+ * Candidates accumulate descriptive sentences over a few turns before a
+ * card is built; cards are updated in place and player cards are never touched
+ */
+const EntityCards = (() => {
+    const CARD_DESCRIPTION = "Auto-generated by Writing System";
+    const MIN_TURNS = 2;            // Turns an entity must appear in before a card is made
+    const MIN_INTRO_DETAILS = 2;    // ...or details needed after an explicit introduction
+    const MAX_DETAILS = 4;          // Descriptive sentences kept per entity
+    const MAX_CANDIDATES = 50;
+    const MAX_ENTRY_LENGTH = 600;
+
+    const TITLES = 'Lord|Lady|Sir|Dame|Captain|Commander|General|King|Queen|Prince|Princess|' +
+        'Duke|Duchess|Baron|Baroness|Count|Countess|Doctor|Dr|Professor|Master|Mistress|Elder';
+    const PLACE_NOUNS = 'City|Town|Village|Forest|Woods|Mountains|Mountain|Peaks|River|Lake|Castle|' +
+        'Keep|Tower|Inn|Tavern|Temple|Valley|Hills|Sea|Bay|Harbor|Harbour|Port|Citadel|Fortress|' +
+        'Abbey|Marsh|Swamp|Desert|Isle|Island|Bridge|Market|Mines|Caverns|Ruins';
+    const FACTION_NOUNS = 'Guild|Order|Brotherhood|Sisterhood|Clan|Legion|Company|Council|Syndicate|' +
+        'Cult|Circle|Watch|Covenant|Conclave|Alliance|Cartel|Church';
+
+    const DETECTORS = [
+        { type: 'character', introduced: true, re: /\b(?:named|called|known as) ([A-Z][a-z]+(?: [A-Z][a-z]+)?)/g },
+        { type: 'character', introduced: true, re: new RegExp(`\\b((?:${TITLES})\\.? [A-Z][a-z]+(?: [A-Z][a-z]+)?)`, 'g') },
+        { type: 'location', introduced: true, qualified: true, re: new RegExp(`\\b((?:[A-Z][a-z]+ )+(?:${PLACE_NOUNS}))\\b`, 'g') },
+        { type: 'location', introduced: true, re: /\b(?:city|town|village|kingdom|realm|land) of ([A-Z][a-z]+)/g },
+        { type: 'faction', introduced: true, qualified: true, re: new RegExp(`\\b((?:[A-Z][a-z]+ )+(?:${FACTION_NOUNS}))\\b`, 'g') }
+    ];
+
+    /**
+     * Find entity mentions in a fragment
+     * @param {string} fragment - AI output
+     * @returns {Array<{name: string, type: string, introduced: boolean}>}
+     */
+    const detect = (fragment) => {
+        const found = [];
+        const add = (name, type, introduced) => {
+            name = cleanEntityName(name);
+            if (!name || name.length < 3) return;
+
+            // A bare name that is part of a known place/faction isn't a character
+            if (type === 'character' && found.some(f => f.type !== 'character' && f.name.split(' ').includes(name))) {
+                return;
+            }
+
+            const existing = found.find(f => f.name === name);
+            if (existing) {
+                existing.introduced = existing.introduced || introduced;
+            } else {
+                found.push({ name, type, introduced });
+            }
+        };
+
+        // Places and factions first so their words aren't taken for characters
+        [...DETECTORS].reverse().forEach(({ type, introduced, qualified, re }) => {
+            re.lastIndex = 0;
+            for (const match of fragment.matchAll(re)) {
+                // "The Market is crowded" leaves only the common noun - not a name
+                if (qualified && !cleanEntityName(match[1]).includes(' ')) continue;
+                add(match[1], type, introduced);
+            }
+        });
+
+        // Anyone acting or speaking in the scene counts as a character mention
+        TextSegmenter.segment(fragment).forEach(segment => {
+            ContinuityTracker.segmentEvents(segment).forEach(event => {
+                add(event.entity, 'character', false);
+                if (event.other) add(event.other, 'character', false);
+            });
+        });
+
+        return found;
+    };
+
+    /**
+     * Whether a player (or another script) already has a card for this name
+     */
+    const hasForeignCard = (name) => {
+        const lower = name.toLowerCase();
+        return storyCards.some(card =>
+            card.description !== CARD_DESCRIPTION && (
+                (card.title || '').toLowerCase() === lower ||
+                (card.keys || '').toLowerCase().split(',').map(k => k.trim()).includes(lower)
+            )
+        );
+    };
+
+    /**
+     * Match a mention to an existing candidate ("Reyes" -> "Captain Reyes")
+     */
+    const resolveCandidate = (candidates, name) => {
+        if (candidates[name]) return name;
+        if (name.includes(' ')) return name;
+
+        return Object.keys(candidates).find(existing =>
+            existing.split(' ').slice(1).includes(name)
+        ) || name;
+    };
+
+    /**
+     * Trigger keys for a card: full name, plus first/last names for characters
+     */
+    const buildKeys = (name, type) => {
+        if (type !== 'character') return name;
+
+        const titles = new RegExp(`^(?:${TITLES})$`);
+        const parts = name.split(' ').filter(w => !titles.test(w.replace('.', '')) && w.length > 2);
+        return [...new Set([name, ...parts])].join(',');
+    };
+
+    /**
+     * Create or refresh the card for a candidate
+     */
+    const writeCard = (store, name, candidate) => {
+        const entry = candidate.details.join(' ').slice(0, MAX_ENTRY_LENGTH);
+        const owned = store.owned[name];
+        const card = getCard(c => c.title === name && c.description === CARD_DESCRIPTION);
+
+        if (owned === undefined) {
+            buildCard(name, entry, candidate.type, buildKeys(name, candidate.type), CARD_DESCRIPTION, storyCards.length);
+            store.owned[name] = entry;
+            safeLog(`Entity card created: ${name} (${candidate.type})`, 'success');
+            return;
+        }
+
+        // Player deleted or edited our card - it's theirs now
+        if (owned === null || !card || card.entry !== owned) {
+            store.owned[name] = null;
+            return;
+        }
+
+        if (card.entry !== entry) {
+            card.entry = entry;
+            store.owned[name] = entry;
+            safeLog(`Entity card updated: ${name}`, 'info');
+        }
+    };
+
+    /**
+     * Process an accepted output: accumulate details and build/update cards
+     * @param {string} fragment - Accepted AI output
+     */
+    const update = (fragment) => {
+        if (!CONFIG.system.autoEntityCards || !fragment) return;
+
+        state.entityCards = state.entityCards || { turn: 0, candidates: {}, owned: {} };
+        const store = state.entityCards;
+        store.turn += 1;
+
+        // Details come from narration; quoted speech describes nobody reliably
+        const sentences = TextSegmenter.sentences(fragment, { dialogue: false });
+        const mentions = detect(fragment);
+
+        // Known entities count even when no detector fires ("Oren spits...")
+        Object.entries(store.candidates).forEach(([name, candidate]) => {
+            if (!mentions.some(m => m.name === name) && new RegExp(`\\b${name}\\b`).test(fragment)) {
+                mentions.push({ name, type: candidate.type, introduced: false });
+            }
+        });
+
+        mentions.forEach(({ name: mention, type, introduced }) => {
+            const name = resolveCandidate(store.candidates, mention);
+            if (store.owned[name] === null) return;
+
+            if (store.owned[name] === undefined && hasForeignCard(name)) {
+                store.owned[name] = null;
+                return;
+            }
+
+            const candidate = store.candidates[name] =
+                store.candidates[name] || { type, turns: [], details: [], introduced: false };
+
+            candidate.introduced = candidate.introduced || introduced;
+            candidate.lastTurn = store.turn;
+            if (!candidate.turns.includes(store.turn)) {
+                candidate.turns = [...candidate.turns, store.turn].slice(-MIN_TURNS);
+            }
+
+            sentences
+                .filter(s => s.includes(mention) && s.split(/\s+/).length >= 5 && !candidate.details.includes(s))
+                .forEach(s => {
+                    if (candidate.details.length < MAX_DETAILS) candidate.details.push(s);
+                });
+
+            const ready = candidate.details.length > 0 && (
+                candidate.turns.length >= MIN_TURNS ||
+                (candidate.introduced && candidate.details.length >= MIN_INTRO_DETAILS)
+            );
+
+            if (ready || store.owned[name] !== undefined) {
+                writeCard(store, name, candidate);
+            }
+        });
+
+        // Forget stale candidates that never earned a card
+        const names = Object.keys(store.candidates);
+        if (names.length > MAX_CANDIDATES) {
+            names
+                .filter(n => store.owned[n] === undefined)
+                .sort((a, b) => store.candidates[a].lastTurn - store.candidates[b].lastTurn)
+                .slice(0, names.length - MAX_CANDIDATES)
+                .forEach(n => delete store.candidates[n]);
+        }
+    };
+
+    return {
+        detect,
+        update
+    };
+})();
+
+// #endregion
+
+// #region Phrase Repetition
+
+/**
+ * Cross-turn phrase repetition tracker
+ * Keeps a rolling window of recent accepted outputs and flags 2-6 word
+ * phrases the model keeps reusing ("a shiver ran down her spine").
+ * Older outputs count for less, so a phrase fades out of the warning list
+ * once the model stops using it.
+ */
+const PhraseTracker = (() => {
+    const MIN_WORDS = 2;
+    const MAX_WORDS = 6;
+    const DECAY = 0.7;          // Weight lost per output of age
+    const FLAG_SCORE = 1;       // Repeat score needed to flag a phrase
+    const MAX_PHRASES = 8;
+
+    /**
+     * Split text into sentences of lowercase word tokens
+     * Capitalized words mid-sentence are marked as names, so a character
+     * being mentioned every turn is not reported as a stock phrase
+     */
+    const tokenize = (fragment, segments = TextSegmenter.segment(fragment)) =>
+        segments.map(({ text }) => text
+            .replace(/[^\w\s']/g, ' ')
+            .split(/\s+/)
+            .filter(Boolean)
+            .map((word, i) => ({
+                word: word.toLowerCase().replace(/^'+|'+$/g, ''),
+                name: i > 0 && /^[A-Z]/.test(word)
+            }))
+            .filter(t => t.word)
+        );
+
+    /**
+     * Collect every candidate n-gram in the text with its occurrence count
+     * A phrase needs at least two content words and can't start or end on a
+     * function word ("of the", "down her")
+     */
+    const collectPhrases = (sentences) => {
+        const counts = {};
+
+        sentences.forEach(tokens => {
+            for (let n = MIN_WORDS; n <= MAX_WORDS; n++) {
+                for (let i = 0; i + n <= tokens.length; i++) {
+                    const gram = tokens.slice(i, i + n);
+                    const content = gram.filter(t => !STOPWORDS.has(t.word));
+
+                    if (STOPWORDS.has(gram[0].word) || STOPWORDS.has(gram[n - 1].word)) continue;
+                    if (content.length < 2 || content.every(t => t.name)) continue;
+
+                    const phrase = gram.map(t => t.word).join(' ');
+                    counts[phrase] = (counts[phrase] || 0) + 1;
+                }
+            }
+        });
+
+        return counts;
+    };
+
+    /**
+     * Normalize text the way the window stores it (one sentence per line)
+     */
+    const normalize = (sentences) => sentences.map(tokens => tokens.map(t => t.word).join(' ')).join('\n');
+
+    /**
+     * Whole-word containment test for normalized text
+     */
+    const hasPhrase = (text, phrase) => ` ${text.replace(/\n/g, ' ')} `.includes(` ${phrase} `);
+
+    /**
+     * Find phrases repeated within the fragment or from recent outputs
+     * Read-only: the window is only updated by record()
+     * @param {string} fragment - Text to check
+     * @param {Object[]} [segments] - Pre-computed TextSegmenter segments
+     * @returns {Object} Map of phrase -> repeat score
+     */
+    const check = (fragment, segments = TextSegmenter.segment(fragment)) => {
+        if (!fragment) return {};
+
+        const sentences = tokenize(fragment, segments);
+        const normalized = normalize(sentences);
+
+        // Skip window entries contained in the fragment itself (re-analyzed history)
+        const windowLines = (state.phraseWindow || [])
+            .slice(-CONFIG.bonepoke.phraseWindow)
+            .filter(entry => !normalized.includes(entry))
+            .map(entry => `\n${entry}\n`);
+
+        const scored = Object.entries(collectPhrases(sentences)).map(([phrase, count]) => {
+            let score = count - 1;
+
+            // Most recent output weighs 1, the one before DECAY, and so on
+            windowLines.forEach((entry, i) => {
+                if (hasPhrase(entry, phrase)) {
+                    score += Math.pow(DECAY, windowLines.length - 1 - i);
+                }
+            });
+
+            // Two-word phrases recur naturally, so they need twice the evidence
+            const required = phrase.split(' ').length === MIN_WORDS ? FLAG_SCORE * 2 : FLAG_SCORE;
+            return { phrase, score: Math.round(score * 100) / 100, flagged: score >= required };
+        }).filter(p => p.flagged);
+
+        // Keep only the longest form of overlapping phrases
+        const phrases = scored
+            .sort((a, b) => b.phrase.length - a.phrase.length)
+            .filter((p, i, all) => !all.slice(0, i).some(longer => hasPhrase(longer.phrase, p.phrase)))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, MAX_PHRASES);
+
+        return Object.fromEntries(phrases.map(p => [p.phrase, p.score]));
+    };
+
+    /**
+     * Add an accepted output to the rolling window
+     * @param {string} fragment - Accepted AI output
+     */
+    const record = (fragment) => {
+        if (!fragment || !fragment.trim()) return;
+
+        state.phraseWindow = state.phraseWindow || [];
+        state.phraseWindow.push(normalize(tokenize(fragment)));
+
+        const limit = CONFIG_LIMITS.bonepoke.phraseWindow.max;
+        if (state.phraseWindow.length > limit) {
+            state.phraseWindow = state.phraseWindow.slice(-limit);
+        }
+    };
+
+    return {
+        check,
+        record
+    };
+})();
+
+// #endregion
+
+// #region Cliche Lexicon
+
+/**
+ * Lexicon of cliches, filler intensifiers and overwrought constructions
+ * Built-in entries can be extended (or switched off) by the player through
+ * the "Writing System Cliches" card, one `phrase = severity` line each.
+ * In phrases, `*` stands for one to three words and `(a|b)` for alternatives.
+ */
+const ClicheLexicon = (() => {
+    const CARD_TITLE = "Writing System Cliches";
+    const CARD_KEYS = "@writing-system-cliches";  // Never matches story text
+    const DEFAULT_SEVERITY = 2;
+
+    // severity: 1 = filler, 2 = stock phrase, 3 = purple prose
+    const BUILT_IN = [
+        { phrase: 'orbs', severity: 3, hint: 'just say eyes' },
+        { phrase: 'ministrations', severity: 3 },
+        { phrase: 'a mix of * and *', severity: 2, hint: 'show one feeling through action' },
+        { phrase: 'eyes (sparkling|sparkled|twinkling|twinkled|dancing|danced|glinting|glinted) with (mischief|amusement)', severity: 3 },
+        { phrase: '(shiver|shivers|chill|chills) (ran|runs|running|went|goes|sent) (down|up) (his|her|their|your|my) spine', severity: 2 },
+        { phrase: "breath (he|she|they|you|i) (didn't|did not) (know|realize) (he|she|they|you|i) (was|were) holding", severity: 3 },
+        { phrase: 'barely above a whisper', severity: 2 },
+        { phrase: 'a testament to', severity: 2 },
+        { phrase: 'tapestry of', severity: 2 },
+        { phrase: '(little did|little does) (he|she|they|you|i) know', severity: 2 },
+        { phrase: 'time (stood|seemed to stand) still', severity: 2 },
+        { phrase: 'for what (felt|seemed) like an eternity', severity: 2 },
+        { phrase: '(voice|words) (dripping|dripped|laced) with', severity: 2 },
+        { phrase: 'tension (was|is|hung) (palpable|thick)', severity: 2 },
+        { phrase: 'wave of (relief|emotion|emotions) washed over', severity: 2 },
+        { phrase: '(heart|hearts) (pounding|pounded|hammering|hammered) in (his|her|their|your|my) chest', severity: 1 },
+        { phrase: 'with (newfound|renewed) (determination|resolve)', severity: 1 },
+        { phrase: "(couldn't|could not) help but", severity: 1 },
+        { phrase: 'an air of', severity: 1 },
+        { phrase: 'utterly', severity: 1 },
+        { phrase: 'incredibly', severity: 1 },
+        { phrase: 'impossibly', severity: 1 },
+        { phrase: 'unbelievably', severity: 1 }
+    ];
+
+    const DEFAULT_ENTRY = [
+        '# Add cliches the AI should avoid, one per line: phrase = severity (1-3)',
+        '# * matches one to three words, (a|b) matches either word',
+        '# Severity 0 switches off a built-in entry, e.g. utterly = 0',
+        '# Optional hint after |, e.g. the silence was deafening = 3 | describe a sound instead'
+    ].join('\n');
+
+    /**
+     * Compile a lexicon phrase into a whole-word, case-insensitive regex
+     */
+    const compile = (phrase) => {
+        const source = phrase.trim().toLowerCase()
+            .replace(/[.+?^${}[\]\\]/g, '\\$&')
+            .replace(/\s+/g, '\\s+')
+            .replace(/\*/g, "[\\w']+(?:\\s+[\\w']+){0,2}?");
+        return new RegExp(`\\b${source}\\b`, 'gi');
+    };
+
+    /**
+     * Parse player lines into lexicon entries
+     * @param {string} entry - Card text
+     * @returns {{entries: Object[], errors: string[]}}
+     */
+    const parseEntry = (entry) => {
+        const entries = [];
+
+        const errors = parseCardLines(entry, clean => {
+            // The hint starts at the first | outside parentheses - (a|b) is an alternation
+            let depth = 0;
+            const split = [...clean].findIndex(ch => {
+                depth += ch === '(' ? 1 : ch === ')' ? -1 : 0;
+                return ch === '|' && depth <= 0;
+            });
+            const rule = split > -1 ? clean.slice(0, split) : clean;
+            const hint = split > -1 ? clean.slice(split + 1).trim() : '';
+
+            const match = rule.trim().match(/^(.+?)(?:\s*=\s*(\d+))?$/);
+            const phrase = match[1].trim();
+            const severity = match[2] === undefined ? DEFAULT_SEVERITY : Number(match[2]);
+
+            if (severity > 3) return `"${phrase}": severity must be 0-3`;
+            try {
+                compile(phrase);
+            } catch (e) {
+                return `cannot read "${phrase}"`;
+            }
+            entries.push({ phrase, severity, hint: hint || undefined });
+            return null;
+        });
+
+        return { entries, errors };
+    };
+
+    /**
+     * Create the player card if it doesn't exist, and report bad lines
+     */
+    const ensureCard = () => {
+        const { card } = ensureSystemCard(CARD_TITLE, CARD_KEYS, DEFAULT_ENTRY);
+        card.description = describeCardErrors(parseEntry(card.entry).errors,
+            'Cliche lexicon - add phrases the AI should avoid');
+    };
+
+    /**
+     * Built-in entries merged with the player's card, compiled for matching
+     * Words the active style preset avoids are added at severity 1.
+     * A player line with the same phrase replaces the built-in one
+     * @returns {Array<{phrase: string, severity: number, hint?: string, re: RegExp}>}
+     */
+    const getEntries = () => {
+        const card = getCard(c => c.title === CARD_TITLE);
+        const custom = card ? parseEntry(card.entry).entries : [];
+        const byPhrase = {};
+
+        [...BUILT_IN, ...StylePresets.getAvoided(), ...custom].forEach(e => byPhrase[e.phrase.toLowerCase()] = e);
+
+        return Object.values(byPhrase)
+            .filter(e => e.severity > 0)
+            .map(e => ({ ...e, re: compile(e.phrase) }));
+    };
+
+    return {
+        ensureCard,
+        getEntries,
+        parseEntry
+    };
+})();
+
+// #endregion
+
+// #region Emotion Lexicon
+
+/**
+ * Emotional profile of an output and the arc across turns
+ * Lexicon words carry an intensity (1-3); intensifiers ("deeply") and
+ * softeners ("slightly") scale it, and a negation shortly before ("not afraid")
+ * moves half of it to the opposite emotion, or cancels it if there is none.
+ * Accepted outputs are kept in state.emotionArc; an arc that stays numb or
+ * on one emotion for bonepoke.arcWindow outputs is reported as flat.
+ */
+const EmotionLexicon = (() => {
+    const MAX_ARC = 30;             // Outputs kept in state.emotionArc
+    const NEGATION_WINDOW = 3;      // Words before a hit searched for negation
+    const NUMB_INTENSITY = 0.5;     // Below this an output carries no real emotion
+    const MONOTONE_SPREAD = 1.5;    // Max intensity spread for a one-note arc
+
+    const LEXICON = {
+        joy: {
+            glad: 1, grin: 1, smile: 1, giggle: 1, cheerful: 1,
+            happy: 2, joy: 2, joyful: 2, delight: 2, delighted: 2, laugh: 2, laughter: 2, cheer: 2,
+            elated: 3, ecstatic: 3, thrilled: 3, triumph: 3, bliss: 3
+        },
+        sadness: {
+            ache: 1, tears: 1, gloomy: 1,
+            sad: 2, sorrow: 2, mourn: 2, cry: 2, lonely: 2, melancholy: 2, regret: 2,
+            grief: 3, grieve: 3, weep: 3, wept: 3, sob: 3, despair: 3, heartbroken: 3, miserable: 3
+        },
+        fear: {
+            nervous: 1, uneasy: 1, shiver: 1, flinch: 1, gasp: 1,
+            afraid: 2, fear: 2, scared: 2, anxious: 2, tremble: 2, frighten: 2, frightened: 2, shudder: 2,
+            terror: 3, terrified: 3, dread: 3, panic: 3, horror: 3, horrified: 3
+        },
+        anger: {
+            annoyed: 1, irritated: 1, scowl: 1, growl: 1, clench: 1,
+            angry: 2, anger: 2, glare: 2, snarl: 2, seethe: 2, resent: 2,
+            rage: 3, fury: 3, furious: 3, hate: 3, livid: 3
+        },
+        affection: {
+            fond: 1, tender: 1, warmth: 1, embrace: 1, hug: 1, caress: 1,
+            love: 2, adore: 2, affection: 2, cherish: 2, kiss: 2, longing: 2, yearn: 2, tenderness: 2
+        },
+        surprise: {
+            gape: 1, bewildered: 1,
+            surprise: 2, surprised: 2, shock: 2, shocked: 2, astonish: 2, amaze: 2, stunned: 2, startle: 2, disbelief: 2
+        },
+        calm: {
+            calm: 1, peace: 1, peaceful: 1, relax: 1, soothe: 1,
+            relief: 2, relieved: 2, serene: 2, tranquil: 2
+        }
+    };
+
+    // Where a negated emotion goes ("not afraid" leans calm)
+    const OPPOSITE = { joy: 'sadness', sadness: 'joy', fear: 'calm', anger: 'calm', calm: 'fear' };
+    const POSITIVE = new Set(['joy', 'affection', 'calm']);
+    const NEGATIVE = new Set(['sadness', 'fear', 'anger']);
+
+    const NEGATORS = new Set(['not', 'no', 'never', 'nor', 'without', 'hardly', 'barely', 'neither', 'nothing']);
+    const MODIFIERS = {
+        very: 1.5, so: 1.5, deeply: 1.5, utterly: 1.5, truly: 1.5, completely: 1.5,
+        overwhelming: 1.5, incredibly: 1.5, absolutely: 1.5,
+        slightly: 0.5, somewhat: 0.5, faintly: 0.5, mildly: 0.5, little: 0.5
+    };
+
+    // Word -> [emotion, intensity]
+    const WORDS = {};
+    Object.entries(LEXICON).forEach(([emotion, words]) => {
+        Object.entries(words).forEach(([word, intensity]) => WORDS[word] = [emotion, intensity]);
+    });
+
+    /**
+     * Look a word up, trying a few inflections ("sobbing", "smiled", "angrily")
+     */
+    const lookup = (word) => {
+        const candidates = [
+            word,
+            word.replace(/(?:ies|ied|ily)$/, 'y'),
+            word.replace(/(?:es|ed|ing|ly|s)$/, ''),
+            word.replace(/(?:d|s)$/, ''),
+            word.replace(/ing$/, 'e'),
+            word.replace(/(\w)\1(?:ed|ing)$/, '$1')
+        ];
+        const match = candidates.find(c => WORDS[c]);
+        return match ? WORDS[match] : null;
+    };
+
+    /**
+     * Score the emotional content of a text
+     * @param {string} text
+     * @returns {{emotions: Object, intensity: number, dominant: string|null, valence: number, hits: Object[]}}
+     */
+    const profile = (text) => {
+        const emotions = {};
+        const hits = [];
+
+        // Clauses keep negation from reaching across punctuation
+        (text || '').toLowerCase().split(/[.!?;:,\n]+/).forEach(clause => {
+            const words = clause.match(/[a-z']+/g) || [];
+
+            words.forEach((word, i) => {
+                const entry = lookup(word);
+                if (!entry) return;
+
+                const [emotion, base] = entry;
+                const before = words.slice(Math.max(0, i - NEGATION_WINDOW), i);
+                const negated = before.some(w => NEGATORS.has(w) || w.endsWith("n't"));
+                const modifier = before.length > 0 ? MODIFIERS[before[before.length - 1]] || 1 : 1;
+                const weight = base * modifier;
+
+                if (negated) {
+                    const opposite = OPPOSITE[emotion];
+                    if (opposite) emotions[opposite] = (emotions[opposite] || 0) + weight / 2;
+                } else {
+                    emotions[emotion] = (emotions[emotion] || 0) + weight;
+                }
+                hits.push({ word, emotion, weight, negated });
+            });
+        });
+
+        const intensity = Object.values(emotions).reduce((sum, w) => sum + w, 0);
+        const ranked = Object.entries(emotions).sort((a, b) => b[1] - a[1]);
+        const signed = ranked.reduce((sum, [emotion, w]) =>
+            sum + (POSITIVE.has(emotion) ? w : NEGATIVE.has(emotion) ? -w : 0), 0);
+
+        return {
+            emotions,
+            intensity: Math.round(intensity * 100) / 100,
+            dominant: ranked.length > 0 ? ranked[0][0] : null,
+            valence: intensity > 0 ? Math.round(signed / intensity * 100) / 100 : 0,
+            hits
+        };
+    };
+
+    /**
+     * Add an accepted output to the emotional arc
+     * @param {string} fragment - Output text
+     */
+    const record = (fragment) => {
+        const { dominant, intensity, valence } = profile(fragment);
+        state.emotionArc = [...(state.emotionArc || []), { dominant, intensity, valence }].slice(-MAX_ARC);
+    };
+
+    /**
+     * Recent arc entries, oldest first
+     * @param {number} [count=MAX_ARC]
+     * @returns {Array<{dominant: string|null, intensity: number, valence: number}>}
+     */
+    const getArc = (count = MAX_ARC) => (state.emotionArc || []).slice(-count);
+
+    /**
+     * Whether the last bonepoke.arcWindow outputs form a flat arc
+     * 'numb': no real emotion in any of them; 'monotone': the same emotion
+     * at about the same intensity throughout
+     * @returns {{flat: boolean, kind?: string, emotion?: string, turns?: number}}
+     */
+    const checkArc = () => {
+        const window = CONFIG.bonepoke.arcWindow;
+        const arc = getArc(window);
+        if (arc.length < window) return { flat: false };
+
+        if (arc.every(e => e.intensity < NUMB_INTENSITY)) {
+            return { flat: true, kind: 'numb', turns: window };
+        }
+
+        const intensities = arc.map(e => e.intensity);
+        const emotion = arc[0].dominant;
+        if (emotion && arc.every(e => e.dominant === emotion) &&
+            Math.max(...intensities) - Math.min(...intensities) < MONOTONE_SPREAD) {
+            return { flat: true, kind: 'monotone', emotion, turns: window };
+        }
+
+        return { flat: false };
+    };
+
+    return {
+        LEXICON,
+        profile,
+        record,
+        getArc,
+        checkArc
+    };
+})();
+
+// #endregion
+
+// #region Narrative Voice
+
+/**
+ * Point-of-view and tense consistency
+ * Learns the adventure's narrative person (first/second/third) and tense
+ * (past/present) from the opening and accepted outputs, then flags narration
+ * that slips ("You walk" -> "He walked").
+ */
+const NarrativeVoice = (() => {
+    const DECAY = 0.8;          // Older outputs count for less
+    const MIN_SENTENCES = 3;    // Tensed sentences needed to establish a tense
+    const MIN_OUTPUTS = 1.5;    // Decayed output count needed to establish a person (two outputs)
+    const MIN_SHARE = 0.6;      // Share needed for one person/tense to be "established"
+    const SEED_ENTRIES = 10;
+
+    const PAST_IRREGULAR = new Set([
+        'was', 'were', 'had', 'did', 'said', 'went', 'came', 'saw', 'took', 'made', 'knew',
+        'thought', 'felt', 'found', 'gave', 'told', 'became', 'left', 'stood', 'sat', 'ran',
+        'held', 'brought', 'began', 'kept', 'heard', 'meant', 'met', 'paid', 'led', 'spoke',
+        'rose', 'fell', 'drew', 'grew', 'threw', 'wore', 'broke', 'chose', 'caught', 'fought',
+        'sought', 'bought', 'lay', 'slept', 'crept', 'wept', 'knelt', 'hid', 'shook', 'woke',
+        'wrote', 'rode', 'drove', 'struck', 'hung', 'spun', 'won', 'sang', 'flew', 'froze',
+        'stole', 'tore', 'got', 'ate', 'sank', 'swung', 'slid', 'lit', 'bit', 'strode', 'dug'
+    ]);
+    const PRESENT_AUX = new Set(['is', 'are', 'am', 'has', 'have', 'does', 'do']);
+    const NEUTRAL = new Set(['could', 'would', 'should', 'might', 'must', 'can', 'will', 'may', 'shall']);
+
+    // Subject pronoun (or name) opening a clause, then an optional adverb, then the verb
+    const CLAUSE = "(?:^|[,;:.!?]\\s*|\\b(?:and|but|then|as|when|while|before|after|until|because|so|if|where)\\s+)";
+    const PRONOUN_SUBJECT = new RegExp(`${CLAUSE}(you|i|we|he|she|they)\\s+(?:[a-z]+ly\\s+)?([a-z']+)`, 'gi');
+    const NAME_SUBJECT = /(?:^|[,;:]\s*)([A-Z][a-z]+)\s+(?:[a-z]+ly\s+)?([a-z']+)/g;
+    // "The barman poured" - only trusted for past verbs ("The old sailors" is not a present verb)
+    const NOUN_SUBJECT = new RegExp(`${CLAUSE}(?:the|a|an)\\s+[a-z]+\\s+([a-z']+)`, 'gi');
+
+    const PERSON = { you: 'second', i: 'first', we: 'first', he: 'third', she: 'third', they: 'third' };
+
+    /**
+     * Classify a verb as 'past', 'present' or null (unknown)
+     * @param {string} verb - Lowercase word following the subject
+     * @param {boolean} singular - Third-person singular subject (present verbs end in -s)
+     */
+    const verbTense = (verb, singular) => {
+        if (PAST_IRREGULAR.has(verb) || (verb.length > 3 && /[^e]ed$/.test(verb))) return 'past';
+        if (PRESENT_AUX.has(verb)) return 'present';
+        if (NEUTRAL.has(verb) || STOPWORDS.has(verb) || /ly$|ing$/.test(verb)) return null;
+        if (singular) return /[^su]s$/.test(verb) ? 'present' : null;
+        return 'present';
+    };
+
+    /**
+     * Classify each narration sentence by person and tense
+     * @param {string} fragment - Text to classify
+     * @param {Object[]} [segments] - Pre-computed TextSegmenter segments
+     * @returns {Array<{text: string, person: string|null, tense: string|null, addressed: boolean}>}
+     */
+    const classify = (fragment, segments = TextSegmenter.segment(fragment)) =>
+        segments.filter(s => !s.dialogue).map(({ text }) => {
+            const persons = {};
+            const tenses = { past: 0, present: 0 };
+
+            const note = (person, verb, singular) => {
+                persons[person] = (persons[person] || 0) + 1;
+                const tense = verbTense(verb.toLowerCase(), singular);
+                if (tense) tenses[tense] += 1;
+            };
+
+            for (const m of text.matchAll(PRONOUN_SUBJECT)) {
+                const pronoun = m[1].toLowerCase();
+                note(PERSON[pronoun], m[2], pronoun === 'he' || pronoun === 'she');
+            }
+            for (const m of text.matchAll(NAME_SUBJECT)) {
+                if (!NON_NAME_WORDS.has(m[1])) note('third', m[2], true);
+            }
+            for (const m of text.matchAll(NOUN_SUBJECT)) {
+                if (verbTense(m[1].toLowerCase(), true) === 'past') tenses.past += 1;
+            }
+
+            // The protagonist's person wins over NPCs mentioned in the same sentence
+            const person = persons.second ? 'second' : persons.first ? 'first' : persons.third ? 'third' : null;
+            const tense = tenses.past > tenses.present ? 'past' :
+                          tenses.present > tenses.past ? 'present' : null;
+
+            // "rolls over you" addresses the reader even without a "you" subject
+            const addressed = /\byou(?:r|rs|rself)?\b/i.test(text);
+
+            return { text, person, tense, addressed };
+        });
+
+    /**
+     * Person of a whole output: any "you" narration makes it second person,
+     * since NPCs are described in third person in every kind of story
+     */
+    const outputPerson = (lines) => lines.some(l => l.person === 'second' || l.addressed) ? 'second' :
+        ['first', 'third'].find(p => lines.some(l => l.person === p)) || null;
+
+    /**
+     * Add an output's classified sentences to a decayed evidence profile
+     * Person is counted per output, tense per sentence
+     */
+    const accumulate = (profile, lines) => {
+        ['first', 'second', 'third', 'past', 'present'].forEach(k => {
+            profile[k] = Math.round((profile[k] || 0) * DECAY * 100) / 100;
+        });
+
+        const person = outputPerson(lines);
+        if (person) profile[person] += 1;
+        lines.forEach(({ tense }) => {
+            if (tense) profile[tense] += 1;
+        });
+        return profile;
+    };
+
+    /**
+     * Stored evidence, seeded from the opening and story history on first use
+     */
+    const getEvidence = () => {
+        if (!state.narrativeVoice) {
+            const seed = { first: 0, second: 0, third: 0, past: 0, present: 0 };
+            (typeof history !== 'undefined' ? history : [])
+                .filter(h => h.text && !['do', 'say', 'see', 'continue'].includes(h.type))
+                .slice(-SEED_ENTRIES)
+                .forEach(h => accumulate(seed, classify(h.text)));
+            state.narrativeVoice = seed;
+        }
+        return state.narrativeVoice;
+    };
+
+    /**
+     * Pick the established value from competing counts, or null if undecided
+     */
+    const established = (counts, minimum) => {
+        const total = Object.values(counts).reduce((a, b) => a + b, 0);
+        if (total < minimum) return null;
+
+        const [best, count] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+        return count / total >= MIN_SHARE ? best : null;
+    };
+
+    /**
+     * The adventure's established person and tense (null while undecided)
+     * @returns {{person: string|null, tense: string|null}}
+     */
+    const getProfile = () => {
+        const e = getEvidence();
+        return {
+            person: established({ first: e.first, second: e.second, third: e.third }, MIN_OUTPUTS),
+            tense: established({ past: e.past, present: e.present }, MIN_SENTENCES)
+        };
+    };
+
+    /**
+     * Find narration that breaks the established person or tense
+     * Read-only: the profile is only updated by record()
+     * @param {string} fragment - Text to check
+     * @param {Object[]} [segments] - Pre-computed TextSegmenter segments
+     * @returns {{person: string|null, tense: string|null, violations: Object[], shift: boolean}}
+     */
+    const check = (fragment, segments = TextSegmenter.segment(fragment)) => {
+        const { person, tense } = getProfile();
+        const result = { person, tense, violations: [], shift: false };
+        if (!fragment || (!person && !tense)) return result;
+
+        const lines = classify(fragment, segments);
+
+        // Person: the protagonist showing up as "I" in a "you" story (or vice versa)
+        // Third-person narration alone proves nothing - NPCs are "he" and "she" in every story
+        if (person) {
+            const off = lines.filter(l => l.person && l.person !== person && l.person !== 'third');
+            off.forEach(l => result.violations.push({ line: l.text, issue: `${l.person} person` }));
+
+            // A shift once the switched pronoun outnumbers the established one
+            const kept = lines.filter(l => l.person === person).length;
+            if (off.length > 0 && off.length >= kept) {
+                result.shift = true;
+            }
+        }
+
+        // Tense: a single flashback sentence is fine, a pattern is not
+        if (tense) {
+            const timed = lines.filter(l => l.tense);
+            const off = timed.filter(l => l.tense !== tense);
+            if (off.length >= 2 || (off.length > 0 && off.length === timed.length)) {
+                off.forEach(l => result.violations.push({ line: l.text, issue: `${l.tense} tense` }));
+            }
+            if (timed.length >= 2 && off.length / timed.length > 0.5) {
+                result.shift = true;
+            }
+        }
+
+        return result;
+    };
+
+    /**
+     * Add an accepted output to the person/tense evidence
+     * @param {string} fragment - Accepted AI output
+     */
+    const record = (fragment) => {
+        if (!fragment) return;
+        accumulate(getEvidence(), classify(fragment));
+    };
+
+    return {
+        classify,
+        check,
+        record,
+        getProfile
+    };
+})();
+
+// #endregion
+
+// #region Player Agency
+
+/**
+ * Detects AI output that takes control of the player character -
+ * making their decisions ("You decide to...") or speaking for them
+ * ('You say, "..."') - and can trim those sentences out
+ *
+ * Only main clauses count: "Before you say anything, she turns away"
+ * and "You wonder if you agreed to too much" leave the player in charge
+ */
+const PlayerAgency = (() => {
+    // Sentence opening: optional quote/bracket, then a linking word or adverb ("Then you...")
+    const LEAD = '^[\\s"\'\u201c(]*(?:(?:and|but|then|so|finally|instead|\\w+ly),?\\s+)?';
+    const SPEECH = '(?:say|said|ask|asked|reply|replied|answer|answered|whisper|whispered|shout|shouted|mutter|muttered|yell|yelled|murmur|murmured|tell|told|snap|snapped)';
+    // "you" that does not open a subordinate clause ("as you ask", "before you say")
+    const MAIN_YOU = '(?<!\\b(?:before|as|if|when|after|until|while|once|unless)\\s+)\\byou';
+    // Speech verbs that say nothing out loud: "You say nothing", "You ask yourself", "You mutter to yourself"
+    const NOT_SPOKEN = '(?!\\s+(?:nothing|yourself|(?:aloud\\s+)?to\\s+yourself)\\b)';
+
+    const DECISION = new RegExp(
+        `${LEAD}you\\s+(?:\\w+ly\\s+)?(?:decide|decided|choose|chose|resolve|resolved|opt|opted|agree|agreed)\\s+(?:to|against|that)\\b|` +
+        `${LEAD}you\\s+(?:make|made)\\s+up\\s+your\\s+mind\\b`, 'i');
+    // "You say...", "You nod and say," before a quote, or 'you answer, "..."' mid-sentence
+    const ATTRIBUTION = new RegExp(
+        `${LEAD}you\\s+(?:\\w+ly\\s+)?${SPEECH}\\b${NOT_SPOKEN}|` +
+        `${LEAD}you\\b[^,.;:!?]*\\b${SPEECH}\\s*[,:]\\s*$|` +
+        `${MAIN_YOU}\\s+(?:\\w+ly\\s+)?${SPEECH}\\s*[,:]\\s*(?:["\u201c]|$)`, 'i');
+
+    /**
+     * Find sentences where the AI acts or speaks for the player
+     * @param {string} fragment - AI output
+     * @param {Object[]} [segments] - Pre-computed TextSegmenter segments
+     * @returns {Array<{line: string, reason: string, start: number, end: number}>}
+     */
+    const detect = (fragment, segments = TextSegmenter.segment(fragment)) => {
+        const violations = [];
+
+        segments.forEach(({ text, start, end, dialogue, speaker }) => {
+            let reason = null;
+
+            if (dialogue) {
+                if (speaker && speaker.toLowerCase() === 'you') reason = 'dialogue';
+            } else if (DECISION.test(text)) {
+                reason = 'decision';
+            } else if (ATTRIBUTION.test(text)) {
+                reason = 'dialogue';
+            }
+
+            if (reason) violations.push({ line: text, reason, start, end });
+        });
+
+        return violations;
+    };
+
+    /**
+     * Remove offending sentences from the output
+     * @param {string} fragment - AI output
+     * @returns {{text: string, removed: string[]}} Trimmed text and what was cut
+     */
+    const trim = (fragment) => {
+        const violations = detect(fragment);
+        if (violations.length === 0) return { text: fragment, removed: [] };
+
+        let text = fragment;
+        [...violations].reverse().forEach(({ start, end }) => {
+            text = text.slice(0, start) + text.slice(end);
+        });
+
+        return { text: tidyCutText(text), removed: violations.map(v => v.line) };
+    };
+
+    return {
+        detect,
+        trim
+    };
+})();
+
+// #endregion
+
+// #region Loop Detection
+
+/**
+ * Detects sentences the model re-emits from its last few outputs, or
+ * repeats within a single reply, by word-bigram similarity - so lightly
+ * reworded copies are caught as well as exact ones
+ */
+const LoopDetector = (() => {
+    const MIN_WORDS = 5;        // Shorter sentences ("You nod.") repeat naturally
+    const SIMILARITY = 0.7;     // Dice coefficient of word bigrams
+
+    /**
+     * Lowercase word tokens
+     */
+    const words = (text) => text.toLowerCase()
+        .replace(/[^\w\s']/g, ' ')
+        .split(/\s+/)
+        .filter(Boolean);
+
+    /**
+     * Set of adjacent word pairs
+     */
+    const bigrams = (tokens) => {
+        const grams = new Set();
+        for (let i = 0; i + 1 < tokens.length; i++) {
+            grams.add(`${tokens[i]} ${tokens[i + 1]}`);
+        }
+        return grams;
+    };
+
+    /**
+     * Dice coefficient of two bigram sets (1 = identical)
+     */
+    const similarity = (a, b) => {
+        let shared = 0;
+        a.forEach(gram => {
+            if (b.has(gram)) shared += 1;
+        });
+        return 2 * shared / (a.size + b.size);
+    };
+
+    /**
+     * Bigram sets for the sentences of the last loopWindow AI outputs
+     */
+    const recentSentences = () => history
+        .filter(h => h.type === 'ai')
+        .slice(-CONFIG.bonepoke.loopWindow)
+        .flatMap(h => TextSegmenter.segment(h.text || ''))
+        .map(s => words(s.text))
+        .filter(tokens => tokens.length >= MIN_WORDS)
+        .map(bigrams);
+
+    /**
+     * Find sentences repeated from recent outputs or earlier in the same reply
+     * @param {string} fragment - AI output
+     * @param {Object[]} [segments] - Pre-computed TextSegmenter segments
+     * @returns {Array<{line: string, source: string, similarity: number, start: number, end: number}>}
+     *   source is 'recent' (an earlier output) or 'reply' (this output)
+     */
+    const detect = (fragment, segments = TextSegmenter.segment(fragment)) => {
+        const recent = recentSentences();
+        const earlier = [];
+        const repeats = [];
+
+        segments.forEach(({ text, start, end }) => {
+            const tokens = words(text);
+            if (tokens.length < MIN_WORDS) return;
+
+            const grams = bigrams(tokens);
+            const best = (pool) => pool.reduce((max, other) => Math.max(max, similarity(grams, other)), 0);
+            const fromRecent = best(recent);
+            const fromReply = best(earlier);
+            earlier.push(grams);
+
+            const score = Math.max(fromRecent, fromReply);
+            if (score >= SIMILARITY) {
+                repeats.push({
+                    line: text,
+                    source: fromRecent >= fromReply ? 'recent' : 'reply',
+                    similarity: Math.round(score * 100) / 100,
+                    start,
+                    end
+                });
+            }
+        });
+
+        return repeats;
+    };
+
+    /**
+     * Remove repeated sentences (the first copy within a reply is kept)
+     * @param {string} fragment - AI output
+     * @returns {{text: string, removed: string[]}} Trimmed text and what was cut
+     */
+    const trim = (fragment) => {
+        const repeats = detect(fragment);
+        if (repeats.length === 0) return { text: fragment, removed: [] };
+
+        let text = fragment;
+        [...repeats].reverse().forEach(({ start, end }) => {
+            text = text.slice(0, start) + text.slice(end);
+        });
+
+        return { text: tidyCutText(text), removed: repeats.map(r => r.line) };
+    };
+
+    return {
+        detect,
+        trim
+    };
+})();
+
+// #endregion
+
+// #region Sentence Cutoff
+
+/**
+ * Handles outputs that stop mid-sentence (token limit)
+ * The dangling fragment is trimmed off and kept so the next Continue can
+ * ask the model to finish that sentence properly. Ellipses and closed
+ * dialogue count as complete endings.
+ */
+const SentenceCutoff = (() => {
+
+    /**
+     * Closing quote needed if the text ends inside a quotation, else ''
+     * Straight quotes toggle; curly quotes open/close explicitly
+     */
+    const openQuote = (text) => {
+        let open = '';
+        for (const ch of text) {
+            if (!open && (ch === '"' || ch === '“')) {
+                open = ch === '“' ? '”' : '"';
+            } else if (open && (ch === '"' || ch === '”')) {
+                open = '';
+            }
+        }
+        return open;
+    };
+
+    /**
+     * Whether text ends on a complete sentence
+     * Terminal punctuation (including "..." and "…"), optionally followed by
+     * closing quotes/brackets, or a quotation that is closed ('"Wait—"')
+     * @param {string} text - Text to check
+     * @returns {boolean}
+     */
+    const isComplete = (text) => {
+        const trimmed = (text || '').trimEnd();
+        if (!trimmed) return true;
+        if (/[.!?…]["”'’)\]]*$/.test(trimmed)) return true;
+        return /["”]$/.test(trimmed) && !openQuote(trimmed);
+    };
+
+    /**
+     * Split an output into its complete part and a dangling fragment
+     * @param {string} text - AI output
+     * @returns {{text: string, fragment: string, dialogue: boolean}}
+     *   fragment is '' when the output is complete or nothing complete precedes it;
+     *   dialogue is true when the fragment was cut inside a quotation
+     */
+    const split = (text) => {
+        const whole = { text, fragment: '', dialogue: false };
+        if (isComplete(text)) return whole;
+
+        // Drop trailing sentences until what is left ends cleanly
+        const segments = TextSegmenter.segment(text);
+        for (let i = segments.length - 1; i > 0; i--) {
+            const kept = text.slice(0, segments[i].start).trimEnd();
+            if (!isComplete(kept)) continue;
+
+            // Cut inside dialogue: close the quotation
+            const closer = openQuote(kept);
+            return {
+                text: kept + closer,
+                fragment: text.slice(segments[i].start).trim(),
+                dialogue: closer !== ''
+            };
+        }
+
+        return whole;
+    };
+
+    return {
+        isComplete,
+        split
+    };
+})();
+
+// #endregion
+
+// #region Action Normalization
+
+/**
+ * Cleans up Do and Story inputs before they reach the model
+ * - first-person input ("I open the door") is converted to the adventure's
+ *   narrative person (NarrativeVoice), with pronoun/verb agreement fixed
+ * - dialogue typed after a speech verb ("you shout: get down") is quoted
+ * - sentence starts and a lone "i" are capitalized
+ * Quoted dialogue is never converted. Third-person adventures only get
+ * quoting and capitalization, since the protagonist's name is unknown.
+ */
+const ActionNormalizer = (() => {
+    const SPEECH_VERBS = 'say|says|ask|asks|shout|shouts|yell|yells|whisper|whispers|mutter|mutters|' +
+        'reply|replies|answer|answers|tell|tells|call|calls|exclaim|exclaims|cry|cries';
+
+    // After a comma these continue the action rather than start speech ("you cry, clutching the letter")
+    const NOT_SPEECH = /^(?:[a-z]{3,}(?:ing|ed)|with|without|into|onto|toward|towards|at|and|then|while|as|before|after)\b/i;
+    const NOT_PARTICIPLE = new Set(['nothing', 'something', 'anything', 'everything', 'string', 'spring', 'swing', 'sting', 'need', 'indeed']);
+    const QUESTION = new RegExp("^(?:who|what|where|when|why|how|which|whose|" +
+        "is|are|am|was|were|do|does|did|can|could|will|would|should|shall|may|have|has|" +
+        "isn't|aren't|wasn't|weren't|don't|doesn't|didn't|can't|couldn't|won't|wouldn't|" +
+        "any|anyone|anybody|anything|anywhere)\\b", 'i');
+
+    // Abbreviations that run on mid-sentence, so the next word keeps its case ("i.e. hungry")
+    const ABBREVIATION = /(?:^|[^A-Za-z.])(?:i\.e|e\.g|vs|cf|viz)\.\s+$/i;
+
+    // Words after which the next pronoun is a subject ("and I", "then you")
+    const CLAUSE_WORDS = new Set([
+        'and', 'then', 'but', 'or', 'so', 'as', 'when', 'while', 'before', 'after',
+        'until', 'because', 'if', 'once', 'that'
+    ]);
+
+    const TO_SECOND = {
+        i: 'you', me: 'you', my: 'your', mine: 'yours', myself: 'yourself',
+        "i'm": "you're", "i've": "you've", "i'll": "you'll", "i'd": "you'd"
+    };
+    const TO_FIRST = {
+        your: 'my', yours: 'mine', yourself: 'myself',
+        "you're": "I'm", "you've": "I've", "you'll": "I'll", "you'd": "I'd"
+    };
+
+    // Verb agreement right after the subject pronoun
+    const AGREE = {
+        you: { am: 'are', is: 'are', was: 'were', has: 'have', does: 'do', goes: 'go' },
+        i: { are: 'am', is: 'am', were: 'was', has: 'have', does: 'do', goes: 'go' }
+    };
+
+    /**
+     * Detect the action type from AI Dungeon's input format
+     * Do: "> You open the door." Say: '> You say "Hello."' Story: plain text
+     * @param {string} text - Raw input
+     * @returns {string} 'do', 'say' or 'story'
+     */
+    const detectType = (text) => {
+        const line = (text || '').trim();
+        if (!line.startsWith('>')) return 'story';
+        return /^>\s*(?:you|i)\s+says?\b/i.test(line) ? 'say' : 'do';
+    };
+
+    /**
+     * Match the case of a replacement to the word it replaces
+     */
+    const matchCase = (replacement, original) =>
+        /^[A-Z]/.test(original) ? replacement[0].toUpperCase() + replacement.slice(1) : replacement;
+
+    /**
+     * Convert first/second person pronouns in narration to the target person
+     * @param {string} text - Unquoted narration
+     * @param {string} person - 'first' or 'second'
+     */
+    const convertPerson = (text, person) => {
+        // Dotted abbreviations ("i.e.") are kept whole, so their "i" is not a pronoun
+        const parts = text.split(/((?:[A-Za-z]\.){2,}|[A-Za-z']+)/);
+        let subject = true;     // Start of the text is a subject position
+        let previous = null;    // Last converted pronoun in subject position
+        let clause = null;      // Subject pronoun of the current clause, for reflexives
+
+        return parts.map(part => {
+            if (/^(?:[A-Za-z]\.){2,}$/.test(part)) return part;
+            if (!/^[A-Za-z']+$/.test(part)) {
+                if (/[.!?;:,]/.test(part)) subject = true;
+                return part;
+            }
+
+            const word = part.toLowerCase();
+            let result = part;
+
+            if (previous && AGREE[previous][word]) {
+                result = matchCase(AGREE[previous][word], part);
+            } else if (person === 'second' && word === 'me' && clause === 'you') {
+                // "I give me the sword" -> "you give yourself the sword"
+                result = matchCase('yourself', part);
+            } else if (person === 'second' && TO_SECOND[word]) {
+                // "I" is capitalized anywhere; "you" only where a sentence starts
+                result = word.startsWith('i') ? TO_SECOND[word] : matchCase(TO_SECOND[word], part);
+            } else if (person === 'first' && word === 'you') {
+                result = subject ? 'I' : matchCase(clause === 'i' ? 'myself' : 'me', part);
+            } else if (person === 'first' && TO_FIRST[word]) {
+                result = TO_FIRST[word].startsWith('I') ? TO_FIRST[word] : matchCase(TO_FIRST[word], part);
+            }
+
+            const converted = result.toLowerCase();
+            if (subject) clause = AGREE[converted] ? converted : null;
+            previous = subject && AGREE[converted] ? converted : null;
+            subject = CLAUSE_WORDS.has(word);
+            return result;
+        }).join('');
+    };
+
+    /**
+     * Whether the words after "<speech verb>," read as speech
+     */
+    const readsAsSpeech = (speech) => {
+        const first = (speech.trim().match(/^[A-Za-z']+/) || [''])[0].toLowerCase();
+        return NOT_PARTICIPLE.has(first) || !NOT_SPEECH.test(first);
+    };
+
+    /**
+     * Quote dialogue typed after a speech verb (with a colon, or a comma
+     * followed by speech) or a double comma
+     * "you shout: get down!" -> 'you shout, "Get down!"'
+     * "the guard asks: who goes there" -> 'the guard asks, "Who goes there?"'
+     */
+    const quoteDialogue = (text) => {
+        if (text.includes('"')) return text;
+
+        const quote = (lead, speech, verb = '') => {
+            const body = speech.trim().replace(/^[a-z]/, c => c.toUpperCase());
+            const end = /[.!?]$/.test(body) ? '' :
+                /^asks?$/i.test(verb) || QUESTION.test(body) ? '?' : '.';
+            return `${lead.trimEnd()}, "${body}${end}"`;
+        };
+
+        if (text.includes(',,')) {
+            return text.replace(/^(.+?),,\s*(.+)$/, (match, lead, speech) => quote(lead, speech));
+        }
+
+        // Up to three words may follow the verb ("ask the innkeeper,", "call out to her:")
+        const pattern = new RegExp(`^(.*\\b(${SPEECH_VERBS})(?:\\s+[\\w']+){0,3})\\s*([,:])\\s+(.+)$`, 'i');
+        return text.replace(pattern, (match, lead, verb, separator, speech) =>
+            separator === ':' || readsAsSpeech(speech) ? quote(lead, speech, verb) : match);
+    };
+
+    /**
+     * Capitalize sentence starts and a lone "i" outside quotes
+     * @param {string} text - Narration
+     * @param {boolean} atStart - Whether the text starts the input
+     */
+    const capitalize = (text, atStart) => text
+        .replace(/^(\s*)([a-z])/, (match, space, letter) => atStart ? space + letter.toUpperCase() : match)
+        .replace(/([.!?]\s+)([a-z])/g, (match, end, letter, offset, whole) =>
+            ABBREVIATION.test(whole.slice(0, offset + end.length)) ? match : end + letter.toUpperCase())
+        .replace(/\bi\b(?!'|\.e\.)/g, 'I')
+        .replace(/\bi'(m|ve|ll|d)\b/g, "I'$1");
+
+    /**
+     * Normalize a Do or Story input
+     * @param {string} text - Raw input
+     * @param {string} [type=detectType(text)] - 'do', 'say' or 'story'
+     * @returns {string} Normalized input (Say inputs are returned unchanged)
+     */
+    const normalize = (text, type = detectType(text)) => {
+        if (type === 'say' || !text || !text.trim()) return text;
+
+        const match = text.match(/^(\s*>\s*)?([\s\S]*?)(\s*)$/);
+        const prefix = match[1] || '';
+        let body = match[2];
+
+        // Do mode prefixes "You", so "I open the door" arrives as "You I open the door"
+        body = body.replace(/^you\s+i\s+(?!')/i, 'I ');
+
+        // Do actions are second person unless the story has settled on another voice
+        const { person } = NarrativeVoice.getProfile();
+        const target = person || (type === 'do' ? 'second' : null);
+
+        body = quoteDialogue(body);
+
+        // Convert narration only, leaving quoted dialogue as typed
+        body = body.split(/("[^"]*"?)/).map((part, i) => {
+            if (part.startsWith('"')) {
+                return part.replace(/^"(\s*)([a-z])/, (m, space, letter) => `"${space}${letter.toUpperCase()}`);
+            }
+            const converted = target === 'first' || target === 'second' ? convertPerson(part, target) : part;
+            return capitalize(converted, i === 0);
+        }).join('');
+
+        return prefix + body + match[3];
+    };
+
+    return {
+        detectType,
+        normalize
+    };
+})();
+
+// #endregion
+
+// #region Input Macros
+
+/**
+ * Player-defined shorthand expanded by input.js before the action is sent
+ * Macros live in the "Writing System Macros" card, one per line:
+ *   !sneak = You move silently through the shadows, staying low
+ *   !attack {target} = You lunge at {target} with your blade
+ * Each argument takes one word (or a "quoted phrase"); the last one takes the
+ * rest of the input. Unknown macros and missing arguments are reported to the
+ * player instead of reaching the model.
+ */
+const InputMacros = (() => {
+    const CARD_TITLE = "Writing System Macros";
+    const CARD_KEYS = "@writing-system-macros";  // Never matches story text
+
+    const DEFAULT_ENTRY = [
+        '# Define input shorthand, one per line: !name = text',
+        '# e.g. !sneak = You move silently through the shadows, staying low',
+        '# Arguments go in braces: !attack {target} = You lunge at {target} with your blade',
+        '# Then type !sneak or !attack the tall guard as a Do or Story action'
+    ].join('\n');
+
+    /**
+     * Parse card lines into macro definitions
+     * @param {string} entry - Card text
+     * @returns {{macros: Object, errors: string[]}} macros keyed by lowercase name
+     */
+    const parseEntry = (entry) => {
+        const macros = {};
+
+        const errors = parseCardLines(entry, clean => {
+            const match = clean.match(/^!([\w-]+)((?:\s*\{\w+\})*)\s*=\s*(.*)$/);
+            if (!match) return `"${clean.slice(0, 30)}" is not !name = text`;
+
+            const name = match[1].toLowerCase();
+            const params = (match[2].match(/\w+/g) || []).map(p => p.toLowerCase());
+            const template = match[3].trim();
+
+            if (!template) return `!${name} has no text`;
+
+            const unknown = (template.match(/\{\w+\}/g) || [])
+                .map(p => p.slice(1, -1).toLowerCase())
+                .find(p => !params.includes(p));
+            if (unknown) return `!${name} uses {${unknown}} but doesn't declare it`;
+
+            macros[name] = { params, template };
+            return null;
+        });
+
+        return { macros, errors };
+    };
+
+    /**
+     * Create the player card if it doesn't exist, and report bad lines
+     */
+    const ensureCard = () => {
+        const { card } = ensureSystemCard(CARD_TITLE, CARD_KEYS, DEFAULT_ENTRY);
+        card.description = describeCardErrors(parseEntry(card.entry).errors,
+            'Input macros - define !shorthand for common actions');
+    };
+
+    /**
+     * Macros currently defined in the card
+     * @returns {Object} Definitions keyed by lowercase name
+     */
+    const getMacros = () => {
+        const card = getCard(c => c.title === CARD_TITLE);
+        return card ? parseEntry(card.entry).macros : {};
+    };
+
+    /**
+     * Split the text after a macro name into its arguments
+     * The last parameter takes whatever is left
+     */
+    const splitArgs = (rest, count) => {
+        const args = [];
+        let remaining = rest.trim();
+
+        while (args.length < count - 1 && remaining) {
+            const match = remaining.match(/^"([^"]*)"\s*|^(\S+)\s*/);
+            args.push(match[1] !== undefined ? match[1] : match[2]);
+            remaining = remaining.slice(match[0].length);
+        }
+        if (count > 0 && remaining) {
+            args.push(remaining.replace(/^"([^"]*)"$/, '$1'));
+        }
+
+        return { args, extra: count === 0 ? remaining : '' };
+    };
+
+    /**
+     * Expand a macro input
+     * Tolerates AI Dungeon's "> You ..." prefix and trailing punctuation
+     * @param {string} input - Raw player input
+     * @param {string} type - 'do', 'say' or 'story'
+     * @returns {{text?: string, error?: string}|null} Expansion or error, null if not a macro
+     */
+    const expand = (input, type) => {
+        const match = (input || '')
+            .trim()
+            .replace(/^>\s*/, '')
+            .replace(/^(you|i)\s+(?=!)/i, '')
+            .match(/^!([\w-]+)([\s\S]*)$/);
+        if (!match) return null;
+
+        const name = match[1].toLowerCase();
+        const macros = getMacros();
+        const macro = macros[name];
+
+        if (!macro) {
+            const known = Object.keys(macros).map(n => `!${n}`).join(', ');
+            return { error: `Unknown macro "!${name}" - ${known ? `defined: ${known}` : `add it to the "${CARD_TITLE}" card`}` };
+        }
+
+        const rest = match[2].replace(/[.!?]+$/, '');
+        const { args, extra } = splitArgs(rest, macro.params.length);
+
+        if (args.length < macro.params.length) {
+            const usage = [`!${name}`, ...macro.params.map(p => `{${p}}`)].join(' ');
+            return { error: `!${name} is missing {${macro.params[args.length]}} - use ${usage}` };
+        }
+        if (extra) {
+            return { error: `!${name} takes no arguments, got "${extra}"` };
+        }
+
+        let text = macro.params.reduce((result, param, i) =>
+            result.replace(new RegExp(`\\{${param}\\}`, 'gi'), () => args[i]), macro.template);
+
+        if (!/[.!?…"')\]]$/.test(text)) {
+            text += '.';
+        }
+
+        // Do actions keep AI Dungeon's "> You ..." shape
+        if (type === 'do') {
+            text = /^(you|i)\b/i.test(text) ? `> ${text}` : `> You ${text}`;
+        }
+
+        safeLog(`Macro !${name} expanded: ${text}`, 'info');
+        return { text };
+    };
+
+    return {
+        ensureCard,
+        getMacros,
+        parseEntry,
+        expand
+    };
+})();
+
+// #endregion
+
+// #region Bonepoke Protocol
+
+/**
+ * Bonepoke Quality Analysis System
+ * Detects: continuity errors, fatigue, drift, quality issues
+ */
+const BonepokeAnalysis = (() => {
+
+    /**
+     * Track word repetition (fatigue)
+     */
+    const traceFatigue = (fragment) => {
+        const words = fragment.toLowerCase()
+            .replace(/[^\w\s]/g, ' ')
+            .split(/\s+/)
+            .filter(w => w.length > 3 && !STOPWORDS.has(w));  // Ignore short/function words
+
+        const counts = {};
+        words.forEach(w => counts[w] = (counts[w] || 0) + 1);
+
+        return Object.fromEntries(
+            Object.entries(counts).filter(([w, c]) => c >= CONFIG.bonepoke.fatigueThreshold)
+        );
+    };
+
+    /**
+     * Match narration against the cliche lexicon
+     * @param {string} fragment - Text to check
+     * @param {Object[]} [segments] - Pre-computed TextSegmenter segments
+     * @returns {Array<{phrase: string, match: string, severity: number, hint?: string, line: string}>}
+     */
+    const detectCliches = (fragment, segments = TextSegmenter.segment(fragment)) => {
+        const entries = ClicheLexicon.getEntries();
+        const found = [];
+
+        segments.filter(s => !s.dialogue).forEach(({ text }) => {
+            entries.forEach(({ phrase, severity, hint, re }) => {
+                (text.match(re) || []).forEach(match => {
+                    found.push({ phrase, match, severity, hint, line: text });
+                });
+            });
+        });
+
+        return found;
+    };
+
+    /**
+     * Measure prose rhythm: sentence-length variance, paragraph length,
+     * dialogue/narration balance and runs of identical sentence openings
+     * @param {string} fragment - Text to check
+     * @param {Object[]} [segments] - Pre-computed TextSegmenter segments
+     * @returns {{issues: string[], spread: number, dialogueRatio: number, longestParagraph: number, openingRun: Object|null}}
+     */
+    const analyzeRhythm = (fragment, segments = TextSegmenter.segment(fragment)) => {
+        const wordCount = (text) => text.split(/\s+/).filter(w => /\w/.test(w)).length;
+        const issues = [];
+
+        // Sentence-length variance (coefficient of variation)
+        const lengths = segments.map(s => wordCount(s.text)).filter(n => n > 0);
+        const mean = lengths.reduce((a, b) => a + b, 0) / (lengths.length || 1);
+        const variance = lengths.reduce((sum, n) => sum + Math.pow(n - mean, 2), 0) / (lengths.length || 1);
+        const spread = mean > 0 ? Math.round(Math.sqrt(variance) / mean * 100) / 100 : 0;
+
+        if (lengths.length >= 5 && spread < 0.2) {
+            issues.push(`mix short and long sentences; ${lengths.length} sentences all ran about ${Math.round(mean)} words`);
+        }
+
+        // Paragraph length
+        const paragraphs = {};
+        segments.forEach(s => paragraphs[s.paragraph] = (paragraphs[s.paragraph] || 0) + wordCount(s.text));
+        const longestParagraph = Math.max(0, ...Object.values(paragraphs));
+
+        if (longestParagraph > 150) {
+            issues.push(`break up long paragraphs; one ran ${longestParagraph} words`);
+        }
+
+        // Dialogue/narration balance (by words)
+        const totalWords = lengths.reduce((a, b) => a + b, 0);
+        const spokenWords = segments.filter(s => s.dialogue).reduce((sum, s) => sum + wordCount(s.text), 0);
+        const dialogueRatio = totalWords > 0 ? Math.round(spokenWords / totalWords * 100) / 100 : 0;
+
+        if (segments.length >= 4 && dialogueRatio > 0.85) {
+            issues.push('ground the dialogue with action beats and setting');
+        }
+
+        // Runs of narration sentences opening with the same word
+        let openingRun = null;
+        let run = { word: null, length: 0, end: 0 };
+        const narration = segments.filter(s => !s.dialogue);
+
+        narration.forEach((s, i) => {
+            const first = (s.text.match(/[A-Za-z']+/) || [''])[0];
+            run = first && first.toLowerCase() === (run.word || '').toLowerCase() ?
+                { word: run.word, length: run.length + 1, end: i } :
+                { word: first, length: 1, end: i };
+
+            if (run.length >= 3 && (!openingRun || run.length >= openingRun.length)) {
+                openingRun = { ...run };
+            }
+        });
+
+        if (openingRun) {
+            const where = openingRun.end === narration.length - 1 ?
+                `last ${openingRun.length} sentences` :
+                `${openingRun.length} sentences in a row`;
+            issues.push(`vary sentence openings; ${where} began with '${openingRun.word}'`);
+        }
+
+        return { issues, spread, dialogueRatio, longestParagraph, openingRun };
+    };
+
+    /**
+     * Detect ungrounded system-speak (drift)
+     * Dialogue is ignored - characters may talk about systems
+     * @param {string} fragment - Text to check
+     * @param {Object[]} [segments] - Pre-computed TextSegmenter segments
+     * @returns {string[]} Offending narration sentences, as written
+     */
+    const detectDrift = (fragment, segments = TextSegmenter.segment(fragment)) => {
+        const systemTerms = ['system', 'sequence', 'signal', 'process', 'loop', 'protocol'];
+        const actionVerbs = ['pressed', 'moved', 'spoke', 'acted', 'responded', 'decided', 'changed'];
+
+        return segments.filter(({ text, dialogue }) => {
+            if (dialogue) return false;
+
+            // Check for system terms without action verbs
+            const line = text.toLowerCase();
+            return systemTerms.some(t => line.includes(t)) &&
+                   !actionVerbs.some(a => line.includes(a));
+        }).map(s => s.text);
+    };
+
+    /**
+     * Calculate MARM (Meta-Aware Recursion Monitor) status
+     */
+    const calculateMarm = (fragment, continuity, fatigue, drift) => {
+        let score = 0;
+        const text = fragment.toLowerCase();
+
+        // Meta-awareness terms
+        if (['ache', 'loop', 'shimmer', 'echo', 'recursive'].some(t => text.includes(t))) {
+            score += 1;
+        }
+
+        score += Math.min(continuity.length, 2);
+        score += Object.keys(fatigue).length > 0 ? 1 : 0;
+        score += drift.length > 0 ? 1 : 0;
+
+        if (score >= 3) return 'MARM: active';
+        if (score === 2) return 'MARM: flicker';
+        return 'MARM: suppressed';
+    };
+
+    /**
+     * Registered scoring dimensions, in display order
+     * Each scorer receives (composted, segments) and returns a 1-5 score
+     */
+    const dimensions = [];
+
+    /**
+     * Add (or replace) a scoring dimension
+     * @param {string} name - Dimension name shown in breakdowns
+     * @param {Function} scorer - (composted, segments) => number (1-5)
+     * @param {Object} [options]
+     * @param {number} [options.weight=1] - Relative weight in avgScore
+     * @param {boolean} [options.enabled=true] - Whether the dimension is scored
+     */
+    const registerDimension = (name, scorer, { weight = 1, enabled = true } = {}) => {
+        if (typeof name !== 'string' || !name.trim()) {
+            throw new Error("registerDimension requires a name");
+        }
+        if (typeof scorer !== 'function') {
+            throw new Error("registerDimension requires a scorer function");
+        }
+        if (typeof weight !== 'number' || !(weight >= 0)) {
+            throw new Error("Dimension weight must be a non-negative number");
+        }
+
+        const dimension = { name, scorer, weight, enabled: enabled !== false };
+        const index = dimensions.findIndex(d => d.name === name);
+
+        if (index > -1) {
+            dimensions[index] = dimension;
+        } else {
+            dimensions.push(dimension);
+        }
+    };
+
+    /**
+     * Change the weight or enabled flag of a registered dimension
+     * @returns {boolean} False if no dimension has that name
+     */
+    const configureDimension = (name, { weight, enabled } = {}) => {
+        const dimension = dimensions.find(d => d.name === name);
+        if (!dimension) return false;
+
+        if (weight !== undefined) {
+            if (typeof weight !== 'number' || !(weight >= 0)) {
+                throw new Error("Dimension weight must be a non-negative number");
+            }
+            dimension.weight = weight;
+        }
+        if (enabled !== undefined) {
+            dimension.enabled = enabled !== false;
+        }
+        return true;
+    };
+
+    /**
+     * List registered dimensions (without their scorers)
+     */
+    const getDimensions = () => dimensions.map(({ name, weight, enabled }) => ({ name, weight, enabled }));
+
+    /**
+     * Round and clamp a scorer result to the 1-5 scale
+     */
+    const clampScore = (value) => Math.round(Math.min(5, Math.max(1, value)) * 100) / 100;
+
+    // Emotional Strength - lexicon intensity, after negation and modifiers
+    registerDimension('Emotional Strength', (composted) => {
+        return 2 + Math.min(composted.emotion.intensity / 2, 2) * 1.5;
+    });
+
+    // Story Flow - each continuity break and each drifting line costs points
+    registerDimension('Story Flow', (composted) => {
+        return 5 - composted.continuity.length * 2.5 - composted.drift.length * 2;
+    });
+
+    // Character Clarity (narration only - "I" inside dialogue says nothing about POV)
+    registerDimension('Character Clarity', (composted, segments) => {
+        const narration = segments.filter(s => !s.dialogue).map(s => s.text).join(' ');
+        if (segments.some(s => s.speaker)) return 5;
+        return ['he', 'she', 'i', 'you'].some(p => new RegExp(`\\b${p}\\b`, 'i').test(narration)) ? 4 : 2;
+    });
+
+    // Dialogue Weight - some dialogue is good, a balanced mix is best
+    registerDimension('Dialogue Weight', (composted, segments) => {
+        const spoken = segments.filter(s => s.dialogue).length;
+        if (spoken === 0) return /\bsaid\b/i.test(composted.fragment) ? 3 : 2;
+
+        const ratio = spoken / segments.length;
+        return ratio >= 0.2 && ratio <= 0.6 ? 5 : 4;
+    });
+
+    // Word Variety - overused words and repeated phrases
+    registerDimension('Word Variety', (composted) => {
+        const issues = Object.keys(composted.fatigue).length + Object.keys(composted.phrases).length;
+        return 5 - issues * 2;
+    });
+
+    // Freshness - total cliche severity
+    registerDimension('Freshness', (composted) => {
+        const severity = composted.cliches.reduce((sum, c) => sum + c.severity, 0);
+        return 5 - severity * 0.75;
+    });
+
+    // Rhythm - monotone sentence openings cost the most
+    registerDimension('Rhythm', (composted) => {
+        const { issues, openingRun } = composted.rhythm;
+        const openingPenalty = openingRun ? Math.min(openingRun.length - 1, 3) : 0;
+        return 5 - (issues.length - (openingRun ? 1 : 0)) * 1.5 - openingPenalty;
+    });
+
+    // Voice Consistency - person/tense slips; a whole-output shift is the worst case
+    registerDimension('Voice Consistency', (composted) => {
+        const { violations, shift } = composted.voice;
+        return shift ? 1 : 5 - violations.length * 1.5;
+    });
+
+    /**
+     * Score output across the enabled dimensions
+     * @param {Object} composted - Detector results from analyze()
+     * @param {Object[]} [segments] - Pre-computed TextSegmenter segments
+     * @returns {Object} Map of dimension name -> score (1-5)
+     */
+    const scoreOutput = (composted, segments = TextSegmenter.segment(composted.fragment)) => {
+        const scores = {};
+
+        dimensions.filter(d => d.enabled).forEach(({ name, scorer }) => {
+            try {
+                const value = Number(scorer(composted, segments));
+                if (Number.isFinite(value)) {
+                    scores[name] = clampScore(value);
+                }
+            } catch (e) {
+                safeLog(`Dimension "${name}" failed: ${e.message}`, 'error');
+            }
+        });
+
+        return scores;
+    };
+
+    /**
+     * Weighted mean of dimension scores (dimensions with weight 0 are ignored)
+     * @param {Object} scores - Output of scoreOutput()
+     * @returns {{avgScore: number, weights: Object}}
+     */
+    const weightScores = (scores) => {
+        const weights = {};
+        let total = 0;
+        let weightSum = 0;
+
+        Object.entries(scores).forEach(([name, score]) => {
+            const { weight } = dimensions.find(d => d.name === name) || { weight: 1 };
+            weights[name] = weight;
+            total += score * weight;
+            weightSum += weight;
+        });
+
+        return { avgScore: weightSum > 0 ? total / weightSum : 0, weights };
+    };
+
+    /**
+     * Generate salvage suggestions
+     */
+    const generateSuggestions = (composted) => {
+        const suggestions = [];
+
+        composted.continuity.forEach(({ line, fact }) => {
+            suggestions.push(`Continuity: "${line}" - contradicts established fact: ${fact}`);
+        });
+
+        composted.drift.forEach(line => {
+            suggestions.push(`Ungrounded: "${line}" - add concrete action`);
+        });
+
+        Object.entries(composted.fatigue).forEach(([word, count]) => {
+            suggestions.push(`Overused: "${word}" (${count}x) - use synonyms`);
+        });
+
+        Object.keys(composted.phrases).forEach(phrase => {
+            suggestions.push(`Repeated phrase: "${phrase}" - rephrase or cut`);
+        });
+
+        composted.agency.forEach(({ line, reason }) => {
+            suggestions.push(reason === 'decision' ?
+                `Agency: "${line}" - leave decisions to the player` :
+                `Agency: "${line}" - don't speak for the player`);
+        });
+
+        composted.voice.violations.forEach(({ line, issue }) => {
+            suggestions.push(`Voice: "${line}" - slipped into ${issue}`);
+        });
+
+        composted.rhythm.issues.forEach(issue => {
+            suggestions.push(`Rhythm: ${issue}`);
+        });
+
+        composted.cliches.forEach(({ match, hint }) => {
+            suggestions.push(`Cliche: "${match}" - ${hint || 'replace with a concrete, specific image'}`);
+        });
+
+        return suggestions;
+    };
+
+    /**
+     * Perform complete analysis
+     */
+    const analyze = (fragment) => {
+        if (!CONFIG.bonepoke.enabled || !fragment) {
+            return null;
+        }
+
+        // Segment once and share across detectors
+        const segments = TextSegmenter.segment(fragment);
+
+        const fatigue = traceFatigue(fragment);
+        const drift = detectDrift(fragment, segments);
+        const phrases = PhraseTracker.check(fragment, segments);
+        const cliches = detectCliches(fragment, segments);
+        const rhythm = analyzeRhythm(fragment, segments);
+        const voice = NarrativeVoice.check(fragment, segments);
+        const agency = CONFIG.bonepoke.agencyHandling !== 'off' ?
+            PlayerAgency.detect(fragment, segments).map(({ line, reason }) => ({ line, reason })) : [];
+        const continuity = CONFIG.bonepoke.trackContinuity ?
+            ContinuityTracker.check(fragment, segments) : [];
+        // Per-word hits stay out of the analysis, which context.js keeps in state
+        const { hits, ...emotion } = EmotionLexicon.profile(fragment);
+        const marm = calculateMarm(fragment, continuity, fatigue, drift);
+
+        const composted = {
+            fragment,
+            continuity,
+            fatigue,
+            phrases,
+            cliches,
+            rhythm,
+            voice,
+            agency,
+            emotion,
+            drift,
+            marm,
+            timestamp: Date.now()
+        };
+
+        const scores = scoreOutput(composted, segments);
+        const suggestions = generateSuggestions(composted);
+
+        const { avgScore, weights } = weightScores(scores);
+
+        return {
+            composted,
+            scores,
+            weights,
+            avgScore,
+            suggestions,
+            quality: avgScore >= 4 ? 'excellent' :
+                    avgScore >= 3 ? 'good' :
+                    avgScore >= 2 ? 'fair' : 'poor'
+        };
+    };
+
+    return {
+        analyze,
+        traceFatigue,
+        detectCliches,
+        analyzeRhythm,
+        detectDrift,
+        scoreOutput,
+        generateSuggestions,
+        registerDimension,
+        configureDimension,
+        getDimensions
+    };
+})();
+
+// #endregion
+
+// #region Dynamic Correction System
+
+/**
+ * Manages dynamic story cards for corrective guidance
+ */
+const DynamicCorrection = (() => {
+    const CARD_PREFIX = "DynamicCorrection_";
+    const MAX_LEVEL = 3;
+
+    /**
+     * Card wording per escalation level (index = level - 1)
+     */
+    const ESCALATION = [
+        body => `[Style guidance: ${body}]`,
+        body => `[Style guidance - repeated issue: ${body} This came up again in the last reply; follow it closely.]`,
+        body => `[Style rule - persistent issue: ${body} Earlier replies ignored this guidance. Treat it as a hard rule.]`
+    ];
+
+    /**
+     * Lifecycle of active cards ({ issue: { level, since, lastSeen } })
+     */
+    const getActive = () => {
+        state.correctionCards = state.correctionCards || {};
+        return state.correctionCards;
+    };
+
+    /**
+     * Write (or rewrite) an issue's card at its current escalation level
+     * @param {string} issue - Issue key, also the card title suffix
+     * @param {string} body - Guidance text
+     * @param {string} description - Card notes
+     */
+    const writeCard = (issue, body, description) => {
+        const cardTitle = `${CARD_PREFIX}${issue}`;
+        const level = getActive()[issue]?.level || 1;
+
+        const entry = ESCALATION[level - 1](body);
+
+        removeCard(cardTitle);  // Remove old version
+
+        buildCard(
+            cardTitle,
+            entry,
+            "guidance",
+            "",  // Always active
+            description,
+            0
+        );
+        LeakScrubber.register(cardTitle, entry);
+
+        state.dynamicCards = state.dynamicCards || [];
+        if (!state.dynamicCards.includes(cardTitle)) {
+            state.dynamicCards.push(cardTitle);
+        }
+    };
+
+    /**
+     * Guidance text of a card, without its escalation wording
+     * @param {Object} card - Story card
+     * @param {number} level - Escalation level the entry was written at
+     * @returns {string}
+     */
+    const guidanceOf = (card, level) => {
+        const [prefix, suffix] = ESCALATION[level - 1]('\u0000').split('\u0000');
+        return card.entry.startsWith(prefix) && card.entry.endsWith(suffix) ?
+            card.entry.slice(prefix.length, card.entry.length - suffix.length) :
+            card.entry;
+    };
+
+    /**
+     * Remove one issue's card and forget its lifecycle
+     */
+    const retire = (issue) => {
+        const cardTitle = `${CARD_PREFIX}${issue}`;
+        removeCard(cardTitle);
+        LeakScrubber.unregister(cardTitle);
+        state.dynamicCards = (state.dynamicCards || []).filter(t => t !== cardTitle);
+        delete getActive()[issue];
+    };
+
+    /**
+     * Create correction card for fatigue
+     * @param {Object} fatigueWords - Overused words (word -> count)
+     * @param {Object} [phrases={}] - Repeated phrases (phrase -> score)
+     */
+    const correctFatigue = (fatigueWords, phrases = {}) => {
+        const words = Object.keys(fatigueWords).slice(0, 5);  // Top 5
+        const phraseList = Object.keys(phrases).slice(0, 5);
+
+        const parts = [];
+        if (phraseList.length > 0) {
+            parts.push(`Avoid these phrases: ${phraseList.map(p => `"${p}"`).join(', ')}.`);
+        }
+        if (words.length > 0) {
+            parts.push(`Avoid repeating these overused words: ${words.join(', ')}.`);
+        }
+
+        writeCard(
+            'Variety',
+            `${parts.join(' ')} Use synonyms, varied phrasing, and fresh descriptions.`,
+            "Auto-generated variety correction"
+        );
+
+        safeLog(`Fatigue correction applied for: ${[...phraseList, ...words].join(', ')}`, 'warn');
+    };
+
+    /**
+     * Create correction card for drift
+     */
+    const correctDrift = () => {
+        writeCard(
+            'Grounding',
+            `Focus on concrete, physical actions. Show visible responses, character decisions, and tangible events. Avoid abstract system references.`,
+            "Auto-generated grounding correction"
+        );
+
+        safeLog('Drift correction applied - grounding narrative', 'warn');
+    };
+
+    /**
+     * Create correction card for contradictions
+     * @param {Array} [continuity=[]] - Continuity conflicts ({ entity, fact, line })
+     */
+    const correctContradictions = (continuity = []) => {
+        const facts = [...new Set(continuity.map(c => c.fact))].slice(0, 3);
+        const factNote = facts.length > 0 ?
+            ` Established facts: ${facts.join('; ')}.` : '';
+
+        writeCard(
+            'Coherence',
+            `Maintain logical consistency. Check temporal sequence (before/after/already). Ensure cause and effect make sense. Verify character knowledge is consistent.${factNote}`,
+            "Auto-generated coherence correction"
+        );
+
+        safeLog('Contradiction correction applied - enforcing coherence', 'warn');
+    };
+
+    /**
+     * Create correction card for cliches and purple prose
+     * @param {Array} cliches - Matches from detectCliches ({ match, severity })
+     */
+    const correctCliches = (cliches) => {
+        const worst = [...cliches]
+            .sort((a, b) => b.severity - a.severity)
+            .map(c => `"${c.match.toLowerCase()}"`);
+        const examples = [...new Set(worst)].slice(0, 5);
+
+        writeCard(
+            'Freshness',
+            `Avoid cliches and purple prose such as ${examples.join(', ')}. Prefer plain, specific description over stock phrases, intensifiers and stacked adjectives.`,
+            "Auto-generated freshness correction"
+        );
+
+        safeLog(`Cliche correction applied for: ${examples.join(', ')}`, 'warn');
+    };
+
+    /**
+     * Create correction card for monotone rhythm
+     * @param {string[]} issues - Rhythm issues from analyzeRhythm
+     */
+    const correctRhythm = (issues) => {
+        writeCard(
+            'Rhythm',
+            `Vary the prose rhythm - ${issues.join('; ')}.`,
+            "Auto-generated rhythm correction"
+        );
+
+        safeLog(`Rhythm correction applied: ${issues.join('; ')}`, 'warn');
+    };
+
+    /**
+     * Create correction card for person/tense slips
+     * @param {Object} voice - NarrativeVoice.check result
+     */
+    const correctVoice = (voice) => {
+        const PERSON_TEXT = {
+            first: 'first person ("I")',
+            second: 'second person ("you")',
+            third: 'third person ("he", "she", "they")'
+        };
+
+        const rules = [];
+        if (voice.person) rules.push(PERSON_TEXT[voice.person]);
+        if (voice.tense) rules.push(`${voice.tense} tense`);
+        const slips = [...new Set(voice.violations.map(v => v.issue))];
+
+        writeCard(
+            'Voice',
+            `Narrate in ${rules.join(' and ')}, as established. Do not switch to ${slips.join(' or ')}.`,
+            "Auto-generated voice correction"
+        );
+
+        safeLog(`Voice correction applied: keep ${rules.join(', ')}`, 'warn');
+    };
+
+    /**
+     * Create correction card for player-agency violations
+     */
+    const correctAgency = () => {
+        writeCard(
+            'Agency',
+            `The player controls their character. Never decide what "you" do, say or choose - describe the world and other characters' reactions, then stop and let the player act.`,
+            "Auto-generated agency correction"
+        );
+
+        safeLog('Agency correction applied - leaving player choices to the player', 'warn');
+    };
+
+    /**
+     * Create correction card for a flat emotional arc
+     * @param {Object} arc - EmotionLexicon.checkArc() result
+     */
+    const correctEmotion = (arc) => {
+        const body = arc.kind === 'numb' ?
+            `The last ${arc.turns} replies carried almost no emotion. Let characters react - show fear, joy, anger or grief through bodies, voices and choices.` :
+            `The last ${arc.turns} replies all stayed on ${arc.emotion} at the same pitch. Shift the emotional register: a moment of relief, humor or warmth, or an escalation into something sharper.`;
+
+        writeCard('Emotion', body, "Auto-generated emotional arc correction");
+
+        safeLog(`Emotion correction applied - ${arc.kind === 'numb' ? 'numb' : arc.emotion} arc for ${arc.turns} outputs`, 'warn');
+    };
+
+    /**
+     * Map an analysis to the corrections it calls for
+     * @param {Object} composted - analysis.composted
+     * @returns {Object} Issue key -> function that writes its card
+     */
+    const detectIssues = (composted) => {
+        const issues = {};
+
+        if (Object.keys(composted.fatigue).length > 0 || Object.keys(composted.phrases).length > 0) {
+            issues.Variety = () => correctFatigue(composted.fatigue, composted.phrases);
+        }
+        if (composted.drift.length > 0) {
+            issues.Grounding = () => correctDrift();
+        }
+        if (composted.cliches.length > 0) {
+            issues.Freshness = () => correctCliches(composted.cliches);
+        }
+        if (composted.rhythm.issues.length > 0) {
+            issues.Rhythm = () => correctRhythm(composted.rhythm.issues);
+        }
+        if (composted.voice.violations.length > 0) {
+            issues.Voice = () => correctVoice(composted.voice);
+        }
+        if (composted.agency.length > 0) {
+            issues.Agency = () => correctAgency();
+        }
+        if (composted.continuity.length > 0) {
+            issues.Coherence = () => correctContradictions(composted.continuity);
+        }
+
+        // The arc spans turns, so it is read from state rather than this analysis
+        const arc = EmotionLexicon.checkArc();
+        if (arc.flat) {
+            issues.Emotion = () => correctEmotion(arc);
+        }
+
+        return issues;
+    };
+
+    /**
+     * Names of the issues an analysis would raise correction cards for
+     * @param {Object} composted - analysis.composted
+     * @returns {string[]} e.g. ['Variety', 'Rhythm']
+     */
+    const listIssues = (composted) => Object.keys(detectIssues(composted));
+
+    /**
+     * Clean up all dynamic cards
+     */
+    const cleanup = () => {
+        state.dynamicCards = state.dynamicCards || [];
+        state.dynamicCards.forEach(title => {
+            removeCard(title);
+            LeakScrubber.unregister(title);
+        });
+        state.dynamicCards = [];
+        state.correctionCards = {};
+    };
+
+    /**
+     * Apply corrections based on analysis
+     * Cards persist for bonepoke.correctionTurns turns after their issue was
+     * last detected, then decay
+     */
+    const applyCorrections = (analysis) => {
+        if (!CONFIG.bonepoke.enableDynamicCorrection || !analysis) {
+            return;
+        }
+
+        const active = getActive();
+        const turn = state.correctionTurn = (state.correctionTurn || 0) + 1;
+        const issues = detectIssues(analysis.composted);
+
+        // Retire cards whose issue has stayed away long enough
+        Object.entries(active).forEach(([issue, card]) => {
+            if (issue in issues || turn - card.lastSeen < CONFIG.bonepoke.correctionTurns) return;
+            retire(issue);
+            safeLog(`${issue} correction retired after ${turn - card.lastSeen} turn(s) without the issue`, 'info');
+        });
+
+        // Apply corrections based on issues detected
+        Object.entries(issues).forEach(([issue, write]) => {
+            active[issue] = active[issue] || { level: 1, since: turn, lastSeen: turn };
+            active[issue].lastSeen = turn;
+            write();
+        });
+    };
+
+    /**
+     * Record whether active cards worked, using an accepted output
+     * An issue that survives its card escalates the card's wording; an output
+     * free of it steps the wording back down a level
+     * @param {Object} analysis - Analysis of the accepted output
+     */
+    const recordOutcome = (analysis) => {
+        if (!CONFIG.bonepoke.enableDynamicCorrection || !analysis) {
+            return;
+        }
+
+        const issues = detectIssues(analysis.composted);
+        state.correctionStats = state.correctionStats || {};
+
+        Object.entries(getActive()).forEach(([issue, card]) => {
+            // Per issue and level: [outputs written under the card, outputs free of the issue]
+            const stats = state.correctionStats[issue] = state.correctionStats[issue] || {};
+            const [outputs, clean] = stats[card.level] || [0, 0];
+            const recurred = issue in issues;
+
+            stats[card.level] = [outputs + 1, clean + (recurred ? 0 : 1)];
+
+            if (recurred && card.level < MAX_LEVEL) {
+                card.level += 1;
+                safeLog(`${issue} issue recurred despite its card - escalating to level ${card.level}`, 'warn');
+            } else if (!recurred && card.level > 1) {
+                const existing = getCard(c => c.title === `${CARD_PREFIX}${issue}`);
+                card.level -= 1;
+                if (existing) {
+                    writeCard(issue, guidanceOf(existing, card.level + 1), existing.description);
+                }
+                safeLog(`${issue} issue absent under its card - easing to level ${card.level}`, 'info');
+            }
+        });
+    };
+
+    /**
+     * Effectiveness of each card wording level
+     * @returns {Array} { issue, level, outputs, clean, rate } rows
+     */
+    const getEffectiveness = () => {
+        return Object.entries(state.correctionStats || {}).flatMap(([issue, levels]) =>
+            Object.entries(levels).map(([level, [outputs, clean]]) => ({
+                issue,
+                level: Number(level),
+                outputs,
+                clean,
+                rate: outputs > 0 ? Math.round(clean / outputs * 100) / 100 : 0
+            }))
+        );
+    };
+
+    /**
+     * Active correction cards as context budget blocks
+     * A card condenses to the first sentence of its guidance at level 1 wording.
+     * @returns {Object[]} Blocks for ContextBudget.fit
+     */
+    const getContextBlocks = () => {
+        return Object.entries(getActive()).map(([issue, { level }]) => {
+            const card = getCard(c => c.title === `${CARD_PREFIX}${issue}`);
+            if (!card) return null;
+
+            const body = guidanceOf(card, level);
+            const firstSentence = (body.match(/^[\s\S]*?[.!?](?=\s|$)/) || [body])[0];
+
+            return {
+                id: card.title,
+                text: card.entry,
+                inline: true,
+                priority: ContextBudget.PRIORITY.correction + (level - 1) * 10,
+                condense: () => ESCALATION[0](firstSentence)
+            };
+        }).filter(Boolean);
+    };
+
+    /**
+     * Human-readable report for /corrections
+     */
+    const describe = () => {
+        const active = Object.entries(getActive());
+        const rows = getEffectiveness();
+
+        const lines = [
+            active.length > 0 ?
+                `Active corrections: ${active.map(([issue, c]) => `${issue} (level ${c.level})`).join(', ')}` :
+                'Active corrections: none'
+        ];
+
+        if (rows.length > 0) {
+            lines.push('Effectiveness (outputs free of the issue while the card was active):');
+            rows.forEach(r => {
+                lines.push(`  ${r.issue} level ${r.level}: ${r.clean}/${r.outputs} (${Math.round(r.rate * 100)}%)`);
+            });
+        } else {
+            lines.push('No effectiveness data yet');
+        }
+
+        return lines.join('\n');
+    };
+
+    return {
+        correctFatigue,
+        correctDrift,
+        correctContradictions,
+        correctCliches,
+        correctRhythm,
+        correctVoice,
+        correctAgency,
+        correctEmotion,
+        cleanup,
+        applyCorrections,
+        recordOutcome,
+        getEffectiveness,
+        getContextBlocks,
+        listIssues,
+        describe
+    };
+})();
+
+// #endregion
+
+// #region Context Budget
+
+/**
+ * Keeps the assembled context inside CONFIG.system.contextBudget tokens
+ * (0 turns the budget off). Each injected block carries a priority. When the
+ * context runs over, blocks are condensed from the lowest priority up, then
+ * dropped, then the oldest story lines are trimmed (at STORY priority).
+ * Plot essentials are never cut, and the story is left alone when its start
+ * can't be found. What was cut, and why, is reported in state.lastContextReport.
+ */
+const ContextBudget = (() => {
+    const CHARS_PER_TOKEN = 4;      // Rough average for English prose
+    const MIN_STORY_LINES = 3;      // Story lines always kept
+
+    /**
+     * Priorities of context material (higher survives longer)
+     * Correction cards gain 10 per escalation level.
      */
-    const correctFatigue = (fatigueWords) => {
-        const words = Object.keys(fatigueWords).slice(0, 5);  // Top 5
-        const cardTitle = `${CARD_PREFIX}Variety`;
+    const PRIORITY = {
+        vs: 30,
+        style: 35,
+        correction: 40,
+        story: 70,
+        continue: 80,
+        essentials: 100
+    };
+
+    // AI Dungeon section headers; text above the first one is plot essentials
+    const SECTION_HEADER = /^(World Lore|Story Summary|Memories|Recent Story):[ \t]*$/m;
+    const STORY_HEADER = /^Recent Story:[ \t]*\n?/m;
+
+    /**
+     * Estimate the token count of a text
+     * @param {string} text
+     * @returns {number}
+     */
+    const estimateTokens = (text) => Math.ceil((text || '').length / CHARS_PER_TOKEN);
+
+    /**
+     * Fit context and injected blocks into the budget
+     * Inline blocks are already part of the context (e.g. correction card
+     * entries in World Lore); the rest are appended after the context in the
+     * order given. Priority only decides what is cut first.
+     * @param {string} text - Context from AI Dungeon
+     * @param {Object[]} blocks - { id, text, priority, inline?, condense?() }
+     * @param {number} [budget=CONFIG.system.contextBudget] - Token budget (0 = off)
+     * @returns {{text: string, report: Object}} Final context and what was cut
+     */
+    const fit = (text, blocks = [], budget = CONFIG.system.contextBudget) => {
+        let base = text;
+        const present = blocks
+            .filter(b => b.text && (!b.inline || base.includes(b.text)))
+            .map(b => ({ ...b, current: b.text }));
+        const byPriority = [...present].sort((a, b) => a.priority - b.priority);
+
+        const assemble = () => base + present
+            .filter(b => !b.inline && b.current)
+            .map(b => '\n\n' + b.current)
+            .join('');
+        const over = () => estimateTokens(assemble()) - budget;
+        const cut = [];
+
+        const replace = (block, next) => {
+            if (block.inline) {
+                base = base.replace(block.current, () => next);
+            }
+            const saved = estimateTokens(block.current) - estimateTokens(next);
+            block.current = next;
+            return saved;
+        };
+
+        const record = (block, action, priority, overBy, saved) => {
+            cut.push({ block, action, tokens: saved, reason: `${overBy} tokens over budget, priority ${priority}` });
+        };
+
+        // Where the story starts: after its header, or after the last inline block
+        // but never above the first section; null when it can't be told apart
+        const storyStart = () => {
+            const header = base.match(STORY_HEADER);
+            if (header) return header.index + header[0].length;
+
+            const ends = present
+                .filter(b => b.inline && b.current)
+                .map(b => base.indexOf(b.current) + b.current.length);
+            if (ends.length === 0) return null;
+
+            const section = base.match(SECTION_HEADER);
+            return Math.max(...ends, section ? section.index : 0);
+        };
+
+        let storyFound = true;      // Cleared when the story start can't be located
+
+        /**
+         * Drop the oldest story lines until the context fits
+         */
+        const trimStory = () => {
+            const overBy = over();
+            const start = storyStart();
+            if (start === null) {
+                storyFound = false;
+                return;
+            }
+
+            const lines = base.slice(start).split('\n');
+            let kept = lines.filter(l => l.trim()).length;
+            let removedChars = 0;
+
+            while (lines.length > 0 && kept > MIN_STORY_LINES &&
+                   overBy - Math.floor(removedChars / CHARS_PER_TOKEN) > 0) {
+                const line = lines.shift();
+                removedChars += line.length + 1;
+                if (line.trim()) kept--;
+            }
+
+            if (removedChars > 0) {
+                base = base.slice(0, start) + lines.join('\n');
+                record('story', 'trimmed', PRIORITY.story, overBy, Math.floor(removedChars / CHARS_PER_TOKEN));
+            }
+        };
+
+        const initial = estimateTokens(assemble());
+
+        if (budget > 0 && initial > budget) {
+            // Condense first, so nothing is dropped that a shorter form could keep
+            byPriority.filter(b => b.condense).forEach(b => {
+                if (over() <= 0) return;
+                const overBy = over();
+                const condensed = b.condense();
+                if (condensed && condensed.length < b.current.length) {
+                    record(b.id, 'condensed', b.priority, overBy, replace(b, condensed));
+                }
+            });
+
+            // Then drop blocks (and trim the story) from the lowest priority up
+            let storyDone = false;
+            byPriority.forEach(b => {
+                if (!storyDone && b.priority > PRIORITY.story) {
+                    storyDone = true;
+                    if (over() > 0) trimStory();
+                }
+                if (over() <= 0) return;
+                const overBy = over();
+                record(b.id, 'dropped', b.priority, overBy, replace(b, ''));
+            });
+            if (!storyDone && over() > 0) trimStory();
+        }
+
+        const final = assemble();
+        const report = {
+            chars: final.length,
+            tokens: estimateTokens(final),
+            budget,
+            cut
+        };
+
+        if (budget > 0 && report.tokens > budget) {
+            const essentials = base.match(SECTION_HEADER) && base.slice(0, base.match(SECTION_HEADER).index).trim();
+            report.overBy = report.tokens - budget;
+            if (!storyFound) {
+                report.note = 'still over budget - the story start was not found, so no story lines were cut';
+            } else {
+                report.note = essentials ?
+                    'still over budget - plot essentials and the latest story lines are never cut' :
+                    'still over budget - the latest story lines are never cut';
+            }
+        }
+
+        if (cut.length > 0) {
+            safeLog(`Context ${initial} tokens over ${budget}: ` +
+                cut.map(c => `${c.block} ${c.action} (-${c.tokens})`).join(', '), 'warn');
+        }
+
+        return { text: final, report };
+    };
+
+    return {
+        PRIORITY,
+        estimateTokens,
+        fit
+    };
+})();
+
+// #endregion
+
+// #region Analytics
+
+/**
+ * Track metrics over time
+ */
+const Analytics = (() => {
+    const REPORT_TITLE = "Writing Report";
+    const REPORT_KEYS = "@writing-report";  // Never matches story text
+    const SPARK_LEVELS = '▁▂▃▄▅▆▇█';
+    const MAX_OVERUSED = 30;    // Tracked overused words/phrases
+    const MAX_TURN_RECORDS = 500;
+    const FIXED_COLUMNS = ['turn', 'k', 'tau', 'regens', 'avgScore', 'issues'];
+    const EXPORT_TITLE = "Writing Export";
+    const EXPORT_KEYS = "@writing-export";  // Never matches story text
+    const EXPORT_PAGE_CHARS = 2000;  // Keeps each page within story card size limits
+
+    /**
+     * Compact per-turn log
+     * `dims` names the score columns; each row is
+     * [turn, k, tau, regens, avgScore, issues, ...scores in dims order]
+     */
+    const getTurnLog = () => {
+        state.turnLog = state.turnLog || { dims: [], rows: [] };
+        return state.turnLog;
+    };
+
+    /**
+     * Append one accepted output to the turn log
+     * @param {Object} analysis - Bonepoke analysis of the output
+     * @param {number} regens - Regenerations before it was accepted
+     */
+    const recordTurn = (analysis, regens) => {
+        const turnLog = getTurnLog();
+        const vs = CONFIG.vs.enabled ? state.vsTurnParams : null;
+
+        Object.keys(analysis.scores).forEach(name => {
+            if (!turnLog.dims.includes(name)) turnLog.dims.push(name);
+        });
+
+        turnLog.rows.push([
+            state.metrics.totalOutputs,
+            vs ? vs.k : null,
+            vs ? vs.tau : null,
+            regens,
+            Math.round(analysis.avgScore * 100) / 100,
+            DynamicCorrection.listIssues(analysis.composted).join(' '),
+            ...turnLog.dims.map(name => name in analysis.scores ? analysis.scores[name] : null)
+        ]);
+
+        if (turnLog.rows.length > MAX_TURN_RECORDS) {
+            turnLog.rows = turnLog.rows.slice(-MAX_TURN_RECORDS);
+        }
+    };
+
+    /**
+     * Expand the compact turn log into readable records
+     * @returns {Array} { turn, k, tau, regens, avgScore, issues, scores } objects
+     */
+    const getTurnRecords = () => {
+        const { dims, rows } = getTurnLog();
+        return rows.map(([turn, k, tau, regens, avgScore, issues, ...scores]) => ({
+            turn,
+            k,
+            tau,
+            regens,
+            avgScore,
+            issues: issues ? issues.split(' ') : [],
+            scores: Object.fromEntries(
+                dims.map((name, i) => [name, scores[i]])
+                    .filter(([, score]) => score !== null && score !== undefined)
+            )
+        }));
+    };
+
+    /**
+     * Record an output event
+     * @param {Object|null} analysis - Bonepoke analysis of the accepted output
+     * @param {number} [regens=0] - Regenerations before it was accepted
+     */
+    const recordOutput = (analysis, regens = 0) => {
+        if (!CONFIG.system.enableAnalytics) return;
+
+        state.metrics.totalOutputs += 1;
+
+        if (analysis) {
+            if (Object.keys(analysis.composted.fatigue).length > 0) {
+                state.metrics.fatigueDetections += 1;
+            }
+            if (analysis.composted.drift.length > 0) {
+                state.metrics.driftDetections += 1;
+            }
+
+            // Running per-dimension totals ({ name: [sum, count] })
+            state.metrics.dimensions = state.metrics.dimensions || {};
+            Object.entries(analysis.scores).forEach(([name, score]) => {
+                const [sum, count] = state.metrics.dimensions[name] || [0, 0];
+                state.metrics.dimensions[name] = [sum + score, count + 1];
+            });
+
+            recordTurn(analysis, regens);
+
+            // Outputs in which each word or phrase was flagged as overused
+            const overused = state.metrics.overused || {};
+            const { fatigue, phrases } = analysis.composted;
+            [...Object.keys(fatigue), ...Object.keys(phrases).map(p => `"${p}"`)].forEach(term => {
+                overused[term] = (overused[term] || 0) + 1;
+            });
+            state.metrics.overused = Object.fromEntries(
+                Object.entries(overused).sort((a, b) => b[1] - a[1]).slice(0, MAX_OVERUSED)
+            );
+        }
+
+        updateReport();
+    };
+
+    /**
+     * Record instruction fragments stripped from an output
+     * @param {number} count - Fragments removed by LeakScrubber
+     */
+    const recordLeaks = (count) => {
+        if (!CONFIG.system.enableAnalytics) return;
+        state.metrics.leakFragments = (state.metrics.leakFragments || 0) + count;
+    };
+
+    /**
+     * Record an output candidate containing repeated sentences
+     * @param {number} count - Sentences LoopDetector flagged
+     */
+    const recordLoops = (count) => {
+        if (!CONFIG.system.enableAnalytics) return;
+        state.metrics.loopOutputs = (state.metrics.loopOutputs || 0) + 1;
+        state.metrics.repeatedSentences = (state.metrics.repeatedSentences || 0) + count;
+    };
+
+    /**
+     * Record a regeneration
+     */
+    const recordRegeneration = () => {
+        if (!CONFIG.system.enableAnalytics) return;
+        state.metrics.regenerations += 1;
+    };
+
+    /**
+     * Get summary statistics
+     */
+    const getSummary = () => {
+        const m = state.metrics;
+        return {
+            totalOutputs: m.totalOutputs,
+            regenerations: m.regenerations,
+            leakFragments: m.leakFragments || 0,
+            repeatedSentences: m.repeatedSentences || 0,
+            // Share of generated outputs (accepted or regenerated) with repeats
+            repeatRate: m.totalOutputs + m.regenerations > 0 ?
+                ((m.loopOutputs || 0) / (m.totalOutputs + m.regenerations) * 100).toFixed(1) + '%' : '0%',
+            regenRate: m.totalOutputs > 0 ?
+                (m.regenerations / m.totalOutputs * 100).toFixed(1) + '%' : '0%',
+            fatigueRate: m.totalOutputs > 0 ?
+                (m.fatigueDetections / m.totalOutputs * 100).toFixed(1) + '%' : '0%',
+            driftRate: m.totalOutputs > 0 ?
+                (m.driftDetections / m.totalOutputs * 100).toFixed(1) + '%' : '0%',
+            dimensionAverages: Object.fromEntries(
+                Object.entries(m.dimensions || {}).map(([name, [sum, count]]) =>
+                    [name, Math.round(sum / count * 100) / 100])
+            ),
+            overused: Object.entries(m.overused || {}).slice(0, 5)
+                .map(([term, count]) => `${term} x${count}`)
+        };
+    };
+
+    /**
+     * Render 1-5 scores as a text sparkline, e.g. "▃▅▆▄"
+     * @param {number[]} scores - Scores in turn order
+     * @returns {string} One block character per score
+     */
+    const sparkline = (scores) => scores
+        .map(score => {
+            const clamped = Math.min(5, Math.max(1, score));
+            return SPARK_LEVELS[Math.round((clamped - 1) / 4 * (SPARK_LEVELS.length - 1))];
+        })
+        .join('');
+
+    /**
+     * Dominant emotions in turn order with runs collapsed, e.g. "fear x3 > joy"
+     * @param {Object[]} arc - EmotionLexicon arc entries
+     * @returns {string}
+     */
+    const describeArc = (arc) => {
+        const runs = [];
+        arc.forEach(({ dominant }) => {
+            const label = dominant || 'none';
+            const last = runs[runs.length - 1];
+            if (last && last.label === label) {
+                last.count += 1;
+            } else {
+                runs.push({ label, count: 1 });
+            }
+        });
+        return runs.map(r => r.count > 1 ? `${r.label} x${r.count}` : r.label).join(' > ');
+    };
+
+    /**
+     * Build the Writing Report card text
+     * Short lines so it reads on mobile without a console
+     */
+    const renderReport = () => {
+        const s = getSummary();
+        const { dims, rows } = getTurnLog();
+        const recent = rows.slice(-CONFIG.system.reportTurns);
+        const overall = recent.map(row => row[4]);
+        const trend = (name) => recent
+            .map(row => row[FIXED_COLUMNS.length + dims.indexOf(name)])
+            .filter(score => score !== null && score !== undefined);
+
+        const lines = [
+            `Outputs: ${s.totalOutputs} | Regens: ${s.regenerations} (${s.regenRate})`,
+            ...(s.leakFragments > 0 ? [`Leaked instructions stripped: ${s.leakFragments}`] : []),
+            ...(s.repeatedSentences > 0 ?
+                [`Repeats: ${s.repeatRate} of outputs (${s.repeatedSentences} sentences)`] : []),
+            '',
+            `Quality, last ${overall.length} turns:`,
+            overall.length > 0 ?
+                `${sparkline(overall)} (now ${overall[overall.length - 1].toFixed(1)})` :
+                'no scored outputs yet'
+        ];
+
+        const arc = EmotionLexicon.getArc(CONFIG.system.reportTurns);
+        if (arc.length > 0) {
+            const flat = EmotionLexicon.checkArc();
+            lines.push('', `Emotional arc, last ${arc.length} turns:`,
+                // Intensity 0-4 drawn on the 1-5 sparkline scale
+                `${sparkline(arc.map(e => 1 + Math.min(e.intensity, 4)))} ${describeArc(arc)}` +
+                (flat.flat ? ` (flat for ${flat.turns} turns)` : ''));
+        }
+
+        const dimensions = Object.entries(s.dimensionAverages);
+        if (dimensions.length > 0) {
+            lines.push('', 'Dimensions (average, trend):');
+            dimensions.forEach(([name, average]) => {
+                lines.push(`${name}: ${average.toFixed(1)} ${sparkline(trend(name))}`);
+            });
+        }
+
+        lines.push('', 'Most overused:', s.overused.length > 0 ? s.overused.join(', ') : 'nothing flagged');
+
+        return lines.join('\n');
+    };
+
+    /**
+     * Create or rewrite the Writing Report story card
+     */
+    const updateReport = () => {
+        if (!CONFIG.system.enableAnalytics) return;
+
+        const entry = renderReport();
+        const card = getCard(c => c.title === REPORT_TITLE);
+        if (!card) {
+            buildCard(REPORT_TITLE, entry, "System", REPORT_KEYS,
+                'Writing System analytics - rewritten after every output', storyCards.length);
+        } else {
+            card.entry = entry;
+        }
+    };
+
+    /**
+     * Quote a CSV field when needed
+     */
+    const csvField = (value) => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    /**
+     * Write one page of the turn records to the Writing Export card
+     * Pages break between records, so every page is valid JSON or CSV
+     * @param {string} [format='json'] - 'json' or 'csv'
+     * @param {number} [page=1] - 1-based page number
+     * @returns {string} Confirmation or error message
+     */
+    const exportRecords = (format = 'json', page = 1) => {
+        const records = getTurnRecords();
+        if (records.length === 0) {
+            return 'No turn records yet - turn analytics on with /analytics on';
+        }
+
+        const { dims } = getTurnLog();
+        const header = [...FIXED_COLUMNS, ...dims].map(csvField).join(',');
+        const lines = records.map(r => format === 'csv' ?
+            [r.turn, r.k, r.tau, r.regens, r.avgScore, r.issues.join(';'), ...dims.map(name => r.scores[name])]
+                .map(csvField).join(',') :
+            JSON.stringify(r));
+
+        // Fill pages with whole records, leaving room for the header or brackets
+        const overhead = format === 'csv' ? header.length + 1 : 4;
+        const pages = [[]];
+        let size = overhead;
+        lines.forEach(line => {
+            const current = pages[pages.length - 1];
+            if (current.length > 0 && size + line.length + 2 > EXPORT_PAGE_CHARS) {
+                pages.push([]);
+                size = overhead;
+            }
+            pages[pages.length - 1].push(line);
+            size += line.length + 2;
+        });
+
+        if (page < 1 || page > pages.length) {
+            return `Page ${page} does not exist - the export has ${pages.length} page(s)`;
+        }
+
+        const pageLines = pages[page - 1];
+        const entry = format === 'csv' ?
+            [header, ...pageLines].join('\n') :
+            `[\n${pageLines.join(',\n')}\n]`;
+        const next = page < pages.length ? ` - /export ${format} ${page + 1} for the next page` : '';
+        const description = `${records.length} turn records as ${format.toUpperCase()}, page ${page}/${pages.length}${next}`;
+
+        const card = getCard(c => c.title === EXPORT_TITLE);
+        if (!card) {
+            buildCard(EXPORT_TITLE, entry, "System", EXPORT_KEYS, description, storyCards.length);
+        } else {
+            card.entry = entry;
+            card.description = description;
+        }
+
+        return `Exported page ${page}/${pages.length} (${pageLines.length} of ${records.length} turns) ` +
+            `as ${format.toUpperCase()} to the "${EXPORT_TITLE}" card${next}`;
+    };
+
+    return {
+        recordOutput,
+        recordRegeneration,
+        recordLeaks,
+        recordLoops,
+        getSummary,
+        getTurnRecords,
+        exportRecords,
+        sparkline,
+        renderReport,
+        updateReport
+    };
+})();
+
+// #endregion
+
+// #region VS Tuning
+
+/**
+ * Closed-loop VS tuning
+ * Reads repetition and incoherence trends from recent Bonepoke analyses and
+ * nudges k/tau: more diversity (lower tau, higher k) when repetition trends
+ * up, more focus (higher tau, lower k) when continuity errors and drift rise.
+ * Changes are small, spaced out and kept within a band around the values
+ * beneath them. Tuned values live in state.vsTuning, a layer between the
+ * style preset and the player's overrides: anything the player sets wins,
+ * and a new style or player value restarts tuning from it.
+ */
+const VSTuner = (() => {
+    const WINDOW = 5;           // Recent analyses a trend is read from
+    const TRIGGER = 0.5;        // Share of the window that triggers an adjustment
+    const COOLDOWN = 3;         // Outputs between adjustments
+    const TAU_STEP = 0.01;
+    const K_STEP = 1;
+    const MAX_TAU_DRIFT = 0.04; // Band around the base values
+    const MAX_K_DRIFT = 2;
+    const MAX_LOG = 20;
+
+    // DynamicCorrection issue names behind each signal
+    const SIGNALS = {
+        repetition: ['Variety'],
+        incoherence: ['Coherence', 'Grounding']
+    };
+
+    /**
+     * Tuning state, created on first use from the untuned CONFIG
+     */
+    const getState = () => {
+        state.vsTuning = state.vsTuning || {
+            outputs: 0,
+            lastChange: 0,
+            base: { k: CONFIG.vs.k, tau: CONFIG.vs.tau },
+            tuned: {},
+            log: []
+        };
+        return state.vsTuning;
+    };
+
+    /**
+     * Share of the last WINDOW analyses showing each signal (0-1)
+     * A short history counts as clean, so two bad outputs are not a trend yet
+     */
+    const trends = () => {
+        const recent = (state.bonepokeHistory || []).slice(-WINDOW);
+        const share = (names) => Math.round(
+            recent.filter(h => (h.issues || []).some(i => names.includes(i))).length / WINDOW * 100) / 100;
+
+        return {
+            repetition: share(SIGNALS.repetition),
+            incoherence: share(SIGNALS.incoherence)
+        };
+    };
+
+    /**
+     * Parameters the player has set themselves (never tuned)
+     */
+    const playerKeys = () => Object.keys(state.configOverrides?.vs || {});
+
+    /**
+     * The value beneath the tuning layer, so cards show the player's own settings
+     * @param {string} key - CONFIG.vs option
+     * @param {*} value - Effective value
+     */
+    const untuned = (key, value) => {
+        const tuning = state.vsTuning;
+        return tuning && tuning.tuned[key] === value && tuning.base ? tuning.base[key] : value;
+    };
+
+    /**
+     * Layer the tuned values onto CONFIG
+     * Call after the style preset and the player's overrides have been applied
+     */
+    const apply = () => {
+        const tuning = state.vsTuning;
+        if (!tuning) return;
+
+        // A new style or player value beneath the layer restarts tuning from it
+        const base = { k: untuned('k', CONFIG.vs.k), tau: untuned('tau', CONFIG.vs.tau) };
+        if (!tuning.base || tuning.base.k !== base.k || tuning.base.tau !== base.tau) {
+            tuning.base = base;
+            tuning.tuned = {};
+        }
+
+        if (!CONFIG.vs.autoTune) return;
+
+        const own = playerKeys();
+        Object.entries(tuning.tuned).forEach(([key, value]) => {
+            if (!own.includes(key)) CONFIG.vs[key] = value;
+        });
+    };
+
+    /**
+     * Change one parameter, record it and log it
+     */
+    const adjust = (tuning, key, value, reason) => {
+        const from = CONFIG.vs[key];
+        if (value === from) return;
+
+        CONFIG.vs[key] = value;
+        tuning.tuned[key] = value;
+        tuning.log.push({ output: tuning.outputs, param: key, from, to: value, reason });
+        if (tuning.log.length > MAX_LOG) {
+            tuning.log = tuning.log.slice(-MAX_LOG);
+        }
+        safeLog(`VS tuning: ${key} ${from} -> ${value} (${reason})`, 'info');
+    };
+
+    /**
+     * Count an accepted output and adjust k/tau if a trend has built up
+     * Reads the trend from state.bonepokeHistory, so call after the output's analysis is stored
+     * @returns {boolean} Whether k or tau changed
+     */
+    const update = () => {
+        const tuning = getState();
+        tuning.outputs += 1;
+
+        if (!CONFIG.vs.autoTune || CONFIG.vs.lockParams) return false;
+        if (tuning.outputs - tuning.lastChange < COOLDOWN) return false;
+
+        const { repetition, incoherence } = trends();
+        let direction = 0;
+        let reason = '';
+
+        if (repetition >= TRIGGER && repetition >= incoherence) {
+            direction = -1;
+            reason = `repetition trending up (${repetition})`;
+        } else if (incoherence >= TRIGGER) {
+            direction = 1;
+            reason = `continuity errors/drift trending up (${incoherence})`;
+        }
+        if (direction === 0) return false;
+
+        const { k: kLimit, tau: tauLimit } = CONFIG_LIMITS.vs;
+        const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+        const { base } = tuning;
+        const current = { k: CONFIG.vs.k, tau: CONFIG.vs.tau };
+
+        const next = {
+            tau: Math.round(clamp(current.tau + direction * TAU_STEP,
+                Math.max(tauLimit.min, base.tau - MAX_TAU_DRIFT),
+                Math.min(tauLimit.max, base.tau + MAX_TAU_DRIFT)) * 100) / 100,
+            k: clamp(current.k - direction * K_STEP,
+                Math.max(kLimit.min, base.k - MAX_K_DRIFT),
+                Math.min(kLimit.max, base.k + MAX_K_DRIFT))
+        };
+
+        // The player's own values are never tuned
+        const own = playerKeys();
+        const changed = ['tau', 'k'].filter(key => !own.includes(key) && next[key] !== current[key]);
+        if (changed.length === 0) return false;
+
+        changed.forEach(key => adjust(tuning, key, next[key], reason));
+        tuning.lastChange = tuning.outputs;
+
+        VerbalizedSampling.updateCard();
+        return true;
+    };
+
+    /**
+     * Human-readable status and recent changes
+     */
+    const describe = () => {
+        const tuning = getState();
+        const { repetition, incoherence } = trends();
+        const mode = !CONFIG.vs.autoTune ? 'off' : CONFIG.vs.lockParams ? 'locked' : 'on';
+        const lines = [
+            `VS tuning ${mode}: k=${CONFIG.vs.k} tau=${CONFIG.vs.tau}, ` +
+            `repetition ${repetition}, incoherence ${incoherence} (last ${WINDOW} outputs)`
+        ];
+
+        tuning.log.slice(-5).forEach(e => {
+            lines.push(`  output ${e.output}: ${e.param} ${e.from} -> ${e.to} (${e.reason})`);
+        });
+
+        return lines.join('\n');
+    };
 
-        removeCard(cardTitle);  // Remove old version
+    return {
+        apply,
+        untuned,
+        update,
+        describe
+    };
+})();
 
-        buildCard(
-            cardTitle,
-            `[Style guidance: Avoid repeating these overused words: ${words.join(', ')}. Use synonyms, varied phrasing, and fresh descriptions.]`,
-            "guidance",
-            "",  // Always active
-            "Auto-generated variety correction",
-            0
-        );
+// #endregion
+
+// #region Style Presets
 
-        state.dynamicCards.push(cardTitle);
-        safeLog(`Fatigue correction applied for: ${words.join(', ')}`, 'warn');
+/**
+ * Named writing styles (noir, cozy, horror, epic, or the player's own)
+ * A preset bundles VS parameters, Bonepoke thresholds, dimension weights,
+ * a lexicon of encouraged and avoided words, and a guidance card. Preset
+ * values sit between the CONFIG defaults and the player's overrides, so an
+ * explicit /vs or config card setting always wins.
+ * Switch with /style <name> or the style line of the "Writing System Style"
+ * card, where custom presets are defined too.
+ */
+const StylePresets = (() => {
+    const CARD_TITLE = "Writing System Style";
+    const CARD_KEYS = "@writing-system-style";  // Never matches story text
+    const GUIDE_TITLE = "StylePreset_Guide";
+    const PRESET_SECTIONS = ['vs', 'bonepoke'];
+    const MAX_WEIGHT = 5;
+
+    const BUILT_IN = {
+        noir: {
+            vs: { k: 5, tau: 0.08 },
+            bonepoke: { fatigueThreshold: 4, qualityThreshold: 2.5 },
+            weights: { 'Rhythm': 1.5, 'Dialogue Weight': 1.25, 'Emotional Strength': 0.75 },
+            encourage: ['rain', 'smoke', 'neon', 'shadow', 'whiskey', 'alley', 'cigarette'],
+            avoid: ['whimsical', 'sparkling', 'delightful', 'adorable', 'magical'],
+            guidance: 'Hard-boiled noir: short declarative sentences, wry observations, city grit and dialogue with an edge. ' +
+                'Keep feelings under the surface and let the weather and the streets carry the mood.'
+        },
+        cozy: {
+            vs: { k: 4, tau: 0.14 },
+            bonepoke: { fatigueThreshold: 5, qualityThreshold: 2.3 },
+            weights: { 'Emotional Strength': 1.25, 'Story Flow': 1.25, 'Rhythm': 0.75 },
+            encourage: ['warm', 'tea', 'quilt', 'hearth', 'bread', 'lamplight', 'garden'],
+            avoid: ['gore', 'corpse', 'agony', 'brutal', 'bloodsoaked'],
+            guidance: 'Cozy and gentle: small comforts, warm textures, kindly characters and low stakes. ' +
+                'Linger on food, weather and friendship, and resolve tension softly.'
+        },
+        horror: {
+            vs: { k: 6, tau: 0.09 },
+            bonepoke: { fatigueThreshold: 4, qualityThreshold: 2.7 },
+            weights: { 'Emotional Strength': 1.5, 'Freshness': 1.25, 'Dialogue Weight': 0.75 },
+            encourage: ['cold', 'silence', 'rot', 'damp', 'flicker', 'hollow', 'wrong'],
+            avoid: ['cute', 'cheerful', 'delightful', 'cozy', 'giggled'],
+            guidance: 'Slow-building horror: dread through implication, wrong details in ordinary places and sounds that should not be there. ' +
+                'Withhold the monster and let silence and small sensory cues do the work.'
+        },
+        epic: {
+            vs: { k: 7, tau: 0.10 },
+            bonepoke: { fatigueThreshold: 5, qualityThreshold: 2.6 },
+            weights: { 'Story Flow': 1.5, 'Character Clarity': 1.25, 'Rhythm': 1.25 },
+            encourage: ['banner', 'oath', 'storm', 'kingdom', 'steel', 'horizon', 'legend'],
+            avoid: ['okay', 'guy', 'cool', 'stuff', 'kinda'],
+            guidance: 'Epic and sweeping: high stakes, vast landscapes, oaths with consequences and heroes measured against history. ' +
+                'Move between the battlefield and a single face.'
+        }
     };
 
+    const DEFAULT_ENTRY = [
+        '# Active style: off, noir, cozy, horror, epic or a custom preset defined below',
+        'style = off',
+        '# Define a custom preset with a [name] line followed by its settings, e.g.',
+        '# [western]',
+        '# vs.k = 6',
+        '# bonepoke.qualityThreshold = 2.8',
+        '# weight.Dialogue Weight = 1.5',
+        '# encourage = dust, spurs, whiskey',
+        '# avoid = neon, laser',
+        '# guidance = Sparse frontier prose where silences and landscapes carry the mood.'
+    ].join('\n');
+
+    // Dimension weights before any preset touched them (this hook only)
+    let baseWeights = null;
+
     /**
-     * Create correction card for drift
+     * Apply one "key = value" setting to a preset
+     * @returns {string|null} Error message, or null if applied
      */
-    const correctDrift = () => {
-        const cardTitle = `${CARD_PREFIX}Grounding`;
+    const setPresetValue = (preset, path, raw) => {
+        const key = path.trim().toLowerCase();
 
-        removeCard(cardTitle);
+        if (key === 'encourage' || key === 'avoid') {
+            preset[key] = raw.split(',').map(w => w.trim().toLowerCase()).filter(Boolean);
+            return null;
+        }
+        if (key === 'guidance') {
+            preset.guidance = raw;
+            return null;
+        }
 
-        buildCard(
-            cardTitle,
-            `[Style guidance: Focus on concrete, physical actions. Show visible responses, character decisions, and tangible events. Avoid abstract system references.]`,
-            "guidance",
-            "",
-            "Auto-generated grounding correction",
-            0
-        );
+        if (key.startsWith('weight.')) {
+            const name = path.trim().slice('weight.'.length).trim();
+            const dimension = BonepokeAnalysis.getDimensions()
+                .find(d => d.name.toLowerCase() === name.toLowerCase());
+            const weight = Number(raw);
 
-        state.dynamicCards.push(cardTitle);
-        safeLog('Drift correction applied - grounding narrative', 'warn');
+            if (!dimension) return `unknown dimension "${name}"`;
+            if (raw.trim() === '' || !(weight >= 0 && weight <= MAX_WEIGHT)) {
+                return `weight.${dimension.name} must be between 0 and ${MAX_WEIGHT}`;
+            }
+            preset.weights[dimension.name] = weight;
+            return null;
+        }
+
+        const [section, name] = key.split('.');
+        const realKey = PRESET_SECTIONS.includes(section) && name &&
+            Object.keys(CONFIG_DEFAULTS[section]).find(k => k.toLowerCase() === name);
+        if (!realKey) return `unknown setting "${path.trim()}"`;
+
+        const value = parseConfigValue(raw);
+        const invalid = validateConfigValue(section, realKey, value);
+        if (invalid) return invalid;
+
+        preset[section][realKey] = value;
+        return null;
     };
 
     /**
-     * Create correction card for contradictions
+     * Parse the style card: the active style line and custom presets
+     * @param {string} entry - Card text
+     * @returns {{style: string|null, custom: Object, errors: string[]}}
      */
-    const correctContradictions = () => {
-        const cardTitle = `${CARD_PREFIX}Coherence`;
+    const parseEntry = (entry) => {
+        const custom = {};
+        let style = null;
+        let current = null;
 
-        removeCard(cardTitle);
+        const errors = parseCardLines(entry, clean => {
+            const header = clean.match(/^\[([\w-]+)\]$/);
+            if (header) {
+                current = header[1].toLowerCase();
+                custom[current] = { vs: {}, bonepoke: {}, weights: {}, encourage: [], avoid: [], guidance: '' };
+                return current === 'off' ? '"off" cannot be a preset name' : null;
+            }
 
-        buildCard(
-            cardTitle,
-            `[Style guidance: Maintain logical consistency. Check temporal sequence (before/after/already). Ensure cause and effect make sense. Verify character knowledge is consistent.]`,
-            "guidance",
-            "",
-            "Auto-generated coherence correction",
-            0
-        );
+            const match = clean.match(/^([\w. ]+?)\s*[=:]\s*(.+)$/);
+            if (!match) return `cannot read line "${clean}"`;
 
-        state.dynamicCards.push(cardTitle);
-        safeLog('Contradiction correction applied - enforcing coherence', 'warn');
+            if (!current) {
+                if (match[1].toLowerCase() !== 'style') return `"${match[1]}" must follow a [preset] line`;
+                style = match[2].trim().toLowerCase();
+                return null;
+            }
+
+            const error = setPresetValue(custom[current], match[1], match[2].trim());
+            return error && `[${current}] ${error}`;
+        });
+
+        return { style, custom, errors };
     };
 
     /**
-     * Clean up old dynamic cards
+     * Built-in presets merged with the card's custom ones (same name replaces)
      */
-    const cleanup = () => {
-        state.dynamicCards = state.dynamicCards || [];
-        state.dynamicCards.forEach(title => removeCard(title));
-        state.dynamicCards = [];
+    const getPresets = () => {
+        const card = getCard(c => c.title === CARD_TITLE);
+        return { ...BUILT_IN, ...(card ? parseEntry(card.entry).custom : {}) };
     };
 
     /**
-     * Apply corrections based on analysis
+     * The active preset, or null when the style is off (or no longer defined)
+     * @returns {Object|null} Preset with its name
      */
-    const applyCorrections = (analysis) => {
-        if (!CONFIG.bonepoke.enableDynamicCorrection || !analysis) {
+    const getActive = () => {
+        const name = state.stylePreset;
+        const preset = name && getPresets()[name];
+        return preset ? { name, ...preset } : null;
+    };
+
+    /**
+     * Words the active preset avoids, as Cliche Lexicon entries
+     * @returns {Array<{phrase: string, severity: number, hint: string}>}
+     */
+    const getAvoided = () => {
+        const preset = getActive();
+        if (!preset) return [];
+        return preset.avoid.map(word => ({ phrase: word, severity: 1, hint: `off-style for ${preset.name}` }));
+    };
+
+    /**
+     * Overlay the active preset on CONFIG and the dimension weights
+     * CONFIG must hold defaults for the preset sections when this runs.
+     */
+    const applyPreset = () => {
+        const preset = getActive();
+
+        baseWeights = baseWeights || BonepokeAnalysis.getDimensions()
+            .reduce((map, d) => ({ ...map, [d.name]: d.weight }), {});
+        Object.entries(baseWeights).forEach(([name, weight]) => {
+            BonepokeAnalysis.configureDimension(name, { weight });
+        });
+
+        if (!preset) return;
+
+        PRESET_SECTIONS.forEach(section => Object.assign(CONFIG[section], preset[section]));
+        Object.entries(preset.weights).forEach(([name, weight]) => {
+            BonepokeAnalysis.configureDimension(name, { weight });
+        });
+    };
+
+    /**
+     * Write, refresh or remove the always-active style guidance card
+     */
+    const updateGuide = () => {
+        const preset = getActive();
+        const card = getCard(c => c.title === GUIDE_TITLE);
+
+        if (!preset || (!preset.guidance && preset.encourage.length === 0 && preset.avoid.length === 0)) {
+            if (card) {
+                removeCard(GUIDE_TITLE);
+                LeakScrubber.unregister(GUIDE_TITLE);
+            }
             return;
         }
 
-        // Clean up old corrections first
-        cleanup();
+        const quote = (words) => words.map(w => `"${w}"`).join(', ');
+        const parts = [preset.guidance];
+        if (preset.encourage.length > 0) parts.push(`Favor words like ${quote(preset.encourage)}.`);
+        if (preset.avoid.length > 0) parts.push(`Avoid ${quote(preset.avoid)}.`);
+        const entry = `[Style guide (${preset.name}): ${parts.filter(Boolean).join(' ')}]`;
 
-        const { composted } = analysis;
+        if (!card || card.entry !== entry) {
+            removeCard(GUIDE_TITLE);
+            buildCard(GUIDE_TITLE, entry, "guidance", "", `Style preset: ${preset.name}`, 0);
+            LeakScrubber.register(GUIDE_TITLE, entry);
+        }
+    };
 
-        // Apply corrections based on issues detected
-        if (Object.keys(composted.fatigue).length > 0) {
-            correctFatigue(composted.fatigue);
+    /**
+     * Create the style card if needed, pick up a changed style line and
+     * apply the active preset. Called on every library load, before the
+     * player's overrides are applied.
+     */
+    const sync = () => {
+        const { card, created } = ensureSystemCard(CARD_TITLE, CARD_KEYS, DEFAULT_ENTRY);
+        if (created) {
+            state.styleCardEntry = card.entry;
         }
 
-        if (composted.drift.length > 0) {
-            correctDrift();
+        const { style, custom, errors } = parseEntry(card.entry);
+        const names = Object.keys({ ...BUILT_IN, ...custom });
+        let changed = false;
+
+        // A player edit to the style line switches the preset
+        if (card.entry !== state.styleCardEntry) {
+            state.styleCardEntry = card.entry;
+            if (style && style !== 'off' && !names.includes(style)) {
+                safeLog(`Style card: unknown style "${style}"`, 'warn');
+            } else if (style && (style === 'off' ? null : style) !== (state.stylePreset || null)) {
+                state.stylePreset = style === 'off' ? null : style;
+                changed = true;
+            }
+        }
+        if (style && style !== 'off' && !names.includes(style)) {
+            errors.push(`unknown style "${style}" - use ${['off', ...names].join(', ')}`);
+        }
+
+        card.description = describeCardErrors(errors, `Style presets - active: ${getActive()?.name || 'off'}`);
+
+        applyPreset();
+        updateGuide();
+
+        // Show the new parameters on the VS card (overrides still win)
+        if (changed && CONFIG.vs.enabled) {
+            applyConfigOverrides();
+            VerbalizedSampling.updateCard();
+        }
+    };
+
+    /**
+     * Summary of a preset's settings for command messages
+     */
+    const describePreset = (preset) => {
+        const settings = PRESET_SECTIONS.flatMap(section =>
+            Object.entries(preset[section]).map(([key, value]) => `${key}=${value}`));
+        const weights = Object.entries(preset.weights).map(([name, weight]) => `${name} x${weight}`);
+        return [...settings, ...weights].join(', ') || 'guidance only';
+    };
+
+    /**
+     * Switch the active style now and mirror it on the style card
+     * @param {string} name - Preset name, or 'off'
+     * @returns {string} Message for the player
+     */
+    const select = (name) => {
+        const key = (name || '').toLowerCase();
+        const presets = getPresets();
+
+        if (key !== 'off' && !presets[key]) {
+            return `Unknown style "${name}" - use ${['off', ...Object.keys(presets)].join(', ')}`;
+        }
+
+        state.stylePreset = key === 'off' ? null : key;
+
+        const card = getCard(c => c.title === CARD_TITLE);
+        if (card) {
+            const line = `style = ${key}`;
+            card.entry = /^\s*style\s*[=:].*$/m.test(card.entry) ?
+                card.entry.replace(/^\s*style\s*[=:].*$/m, line) :
+                `${line}\n${card.entry}`;
+            card.description = `Style presets - active: ${key}`;
+            state.styleCardEntry = card.entry;
         }
 
-        if (composted.contradictions.length > 0) {
-            correctContradictions();
+        // Rebuild CONFIG: defaults, then the preset, then the player's overrides
+        PRESET_SECTIONS.forEach(section => Object.assign(CONFIG[section], CONFIG_DEFAULTS[section]));
+        applyPreset();
+        applyConfigOverrides();
+        VSTuner.apply();
+        updateGuide();
+        if (CONFIG.vs.enabled) {
+            VerbalizedSampling.updateCard();
         }
+        ConfigCard.refresh();
+
+        const preset = getActive();
+        if (!preset) return 'Style off - back to the default settings';
+
+        const kept = PRESET_SECTIONS.flatMap(section =>
+            Object.keys(preset[section])
+                .filter(k => state.configOverrides?.[section]?.[k] !== undefined)
+                .map(k => `${k}=${CONFIG[section][k]}`));
+
+        return `Style set to ${preset.name}: ${describePreset(preset)}` +
+            (kept.length > 0 ? ` (your overrides kept: ${kept.join(', ')})` : '');
+    };
+
+    /**
+     * Active style and available presets for /style
+     */
+    const describe = () => {
+        const preset = getActive();
+        const names = Object.keys(getPresets());
+        return (preset ? `Style: ${preset.name} (${describePreset(preset)})` : 'Style: off') +
+            `\nPresets: ${names.join(', ')} - use /style <name> or /style off`;
+    };
+
+    /**
+     * The style guide card as a context budget block
+     * @returns {Object[]} Blocks for ContextBudget.fit
+     */
+    const getContextBlocks = () => {
+        const card = getCard(c => c.title === GUIDE_TITLE);
+        const preset = getActive();
+        if (!card || !preset) return [];
+
+        const firstSentence = (preset.guidance.match(/^[\s\S]*?[.!?](?=\s|$)/) || [preset.guidance])[0];
+        return [{
+            id: GUIDE_TITLE,
+            text: card.entry,
+            inline: true,
+            priority: ContextBudget.PRIORITY.style,
+            condense: () => firstSentence ? `[Style guide (${preset.name}): ${firstSentence}]` : ''
+        }];
     };
 
     return {
-        correctFatigue,
-        correctDrift,
-        correctContradictions,
-        cleanup,
-        applyCorrections
+        BUILT_IN,
+        parseEntry,
+        getPresets,
+        getActive,
+        getAvoided,
+        getContextBlocks,
+        sync,
+        select,
+        describe
     };
 })();
 
 // #endregion
 
-// #region Analytics
+// #region Config Card
 
 /**
- * Track metrics over time
+ * Player-editable mirror of the effective configuration
+ * Edit the "Writing System Config" card (key=value lines or JSON) to tune
+ * a scenario without touching sharedLibrary.js
  */
-const Analytics = (() => {
+const ConfigCard = (() => {
+    const CARD_TITLE = "Writing System Config";
+    const CARD_KEYS = "@writing-system-config";  // Never matches story text
+    const CONFIG_SECTIONS = ['vs', 'bonepoke', 'system'];
 
     /**
-     * Record an output event
+     * Render the effective configuration as editable key=value lines
      */
-    const recordOutput = (analysis) => {
-        if (!CONFIG.system.enableAnalytics) return;
+    const renderEntry = () => {
+        const lines = ['# Edit values below (section.key=value or JSON)'];
 
-        state.metrics.totalOutputs += 1;
+        CONFIG_SECTIONS.forEach(section => {
+            Object.entries(CONFIG[section]).forEach(([key, value]) => {
+                // Auto-tuned k/tau are not the player's settings
+                lines.push(`${section}.${key}=${section === 'vs' ? VSTuner.untuned(key, value) : value}`);
+            });
+        });
 
-        if (analysis) {
-            if (Object.keys(analysis.composted.fatigue).length > 0) {
-                state.metrics.fatigueDetections += 1;
+        return lines.join('\n');
+    };
+
+    /**
+     * Resolve "section.key" or a bare, unambiguous key to [section, key]
+     */
+    const resolveKey = (path) => {
+        const parts = path.trim().toLowerCase().split('.');
+        const sections = parts.length > 1 ?
+            CONFIG_SECTIONS.filter(s => s === parts[0]) :
+            CONFIG_SECTIONS;
+        const name = parts[parts.length - 1];
+
+        const matches = [];
+        sections.forEach(section => {
+            const key = Object.keys(CONFIG[section]).find(k => k.toLowerCase() === name);
+            if (key) matches.push([section, key]);
+        });
+
+        if (matches.length === 0) return { error: `unknown option "${path.trim()}"` };
+        if (matches.length > 1) return { error: `"${path.trim()}" is ambiguous - use section.${name}` };
+        return { section: matches[0][0], key: matches[0][1] };
+    };
+
+    /**
+     * Parse a card entry into [path, rawValue] pairs
+     * @param {string} entry - Card text (key=value lines or JSON)
+     * @returns {{pairs: Array, errors: string[]}}
+     */
+    const parseEntry = (entry) => {
+        const pairs = [];
+        const errors = [];
+        const trimmed = (entry || '').trim();
+
+        if (trimmed.startsWith('{')) {
+            let parsed;
+            try {
+                parsed = JSON.parse(trimmed);
+            } catch (e) {
+                return { pairs, errors: [`invalid JSON (${e.message})`] };
             }
-            if (analysis.composted.drift.length > 0) {
-                state.metrics.driftDetections += 1;
+
+            Object.entries(parsed).forEach(([name, value]) => {
+                if (value && typeof value === 'object') {
+                    Object.entries(value).forEach(([key, v]) => pairs.push([`${name}.${key}`, v]));
+                } else {
+                    pairs.push([name, value]);
+                }
+            });
+            return { pairs, errors };
+        }
+
+        errors.push(...parseCardLines(trimmed, clean => {
+            const match = clean.match(/^([\w.]+)\s*[=:]\s*(.+)$/);
+            if (!match) return `cannot read line "${clean}"`;
+            pairs.push([match[1], match[2]]);
+            return null;
+        }));
+
+        return { pairs, errors };
+    };
+
+    /**
+     * Apply player edits from the card, returning any errors
+     */
+    const applyEntry = (entry) => {
+        const { pairs, errors } = parseEntry(entry);
+        let vsChanged = false;
+
+        pairs.forEach(([path, raw]) => {
+            const { section, key, error } = resolveKey(path);
+            if (error) {
+                errors.push(error);
+                return;
             }
+
+            const value = parseConfigValue(raw);
+            const invalid = validateConfigValue(section, key, value);
+            if (invalid) {
+                errors.push(invalid);
+                return;
+            }
+
+            if (CONFIG[section][key] !== value) {
+                setConfigOverride(section, key, value);
+                vsChanged = vsChanged || section === 'vs';
+            }
+        });
+
+        if (vsChanged) {
+            VerbalizedSampling.updateCard();
         }
+
+        return errors;
     };
 
     /**
-     * Record a regeneration
+     * Rewrite the card (and state snapshot) from the effective CONFIG
+     * Errors from the last player edit stay in the description until the next edit
      */
-    const recordRegeneration = () => {
-        if (!CONFIG.system.enableAnalytics) return;
-        state.metrics.regenerations += 1;
+    const refresh = () => {
+        const entry = renderEntry();
+        const errors = state.configCardErrors || [];
+        const description = isPersistEnabled() ?
+            describeCardErrors(errors, 'Writing System configuration - edit the entry to change settings') :
+            'persistState is off - edits are ignored (set system.persistState=true to turn it back on)';
+
+        const { card } = ensureSystemCard(CARD_TITLE, CARD_KEYS, entry);
+        card.entry = entry;
+        card.description = description;
+
+        state.configSnapshot = JSON.parse(JSON.stringify(CONFIG));
+        Object.keys(state.configSnapshot.vs).forEach(key => {
+            state.configSnapshot.vs[key] = VSTuner.untuned(key, state.configSnapshot.vs[key]);
+        });
+        state.configCardEntry = entry;
     };
 
     /**
-     * Get summary statistics
+     * Pick up player edits (if the card changed) and re-mirror CONFIG
+     * Called on every library load
      */
-    const getSummary = () => {
-        const m = state.metrics;
-        return {
-            totalOutputs: m.totalOutputs,
-            regenerations: m.regenerations,
-            regenRate: m.totalOutputs > 0 ?
-                (m.regenerations / m.totalOutputs * 100).toFixed(1) + '%' : '0%',
-            fatigueRate: m.totalOutputs > 0 ?
-                (m.fatigueDetections / m.totalOutputs * 100).toFixed(1) + '%' : '0%',
-            driftRate: m.totalOutputs > 0 ?
-                (m.driftDetections / m.totalOutputs * 100).toFixed(1) + '%' : '0%'
-        };
+    const sync = () => {
+        const card = getCard(c => c.title === CARD_TITLE);
+        if (card && card.entry !== state.configCardEntry) {
+            if (isPersistEnabled()) {
+                state.configCardErrors = applyEntry(card.entry);
+            } else {
+                // Only the switch itself is read while persistence is off
+                const persist = parseEntry(card.entry).pairs
+                    .find(([path]) => resolveKey(path).key === 'persistState');
+                state.configCardErrors = [];
+                if (persist && parseConfigValue(persist[1]) === true) {
+                    setConfigOverride('system', 'persistState', true);
+                    applyConfigOverrides();
+                } else {
+                    safeLog('Config card: persistState is off - edits ignored', 'warn');
+                }
+            }
+
+            if (state.configCardErrors.length > 0) {
+                safeLog(`Config card: ${state.configCardErrors.join('; ')}`, 'warn');
+            }
+        }
+
+        refresh();
     };
 
     return {
-        recordOutput,
-        recordRegeneration,
-        getSummary
+        parseEntry,
+        refresh,
+        sync
+    };
+})();
+
+// #endregion
+
+// #region Commands
+
+/**
+ * In-game slash commands for live CONFIG control
+ * Examples: /vs k=7 tau=0.08, /bonepoke off, /analytics, /reset
+ */
+const Commands = (() => {
+    const CONFIG_SECTIONS = ['vs', 'bonepoke', 'system'];
+
+    /**
+     * Extract command name and arguments from raw input
+     * Tolerates AI Dungeon's "> You ..." prefix and trailing punctuation
+     */
+    const parse = (input) => {
+        const cleaned = (input || '')
+            .trim()
+            .replace(/^>\s*/, '')
+            .replace(/^(you|i)\s+(?=\/)/i, '');
+
+        const match = cleaned.match(/^\/(\w+)\b([\s\S]*)$/);
+        if (!match) return null;
+
+        const args = match[2]
+            .replace(/[.!?]+$/, '')
+            .trim()
+            .split(/\s+/)
+            .filter(Boolean);
+
+        return { name: match[1].toLowerCase(), args };
+    };
+
+    /**
+     * Apply "on", "off" and key=value arguments to a CONFIG section
+     */
+    const configureSection = (section, args) => {
+        const applied = [];
+        const errors = [];
+
+        args.forEach(arg => {
+            let key;
+            let rawValue;
+
+            if (/^(on|off)$/i.test(arg)) {
+                key = 'enabled';
+                rawValue = arg;
+            } else if (arg.includes('=')) {
+                [key, rawValue] = arg.split('=', 2);
+            } else {
+                errors.push(`"${arg}" is not key=value`);
+                return;
+            }
+
+            // Match keys case-insensitively so "fatiguethreshold=4" works
+            const realKey = Object.keys(CONFIG[section])
+                .find(k => k.toLowerCase() === key.toLowerCase());
+
+            if (!realKey) {
+                errors.push(`unknown option "${key}"`);
+                return;
+            }
+
+            const value = parseConfigValue(rawValue);
+            const error = validateConfigValue(section, realKey, value);
+            if (error) {
+                errors.push(error);
+                return;
+            }
+
+            setConfigOverride(section, realKey, value);
+            applied.push(`${realKey}=${value}`);
+        });
+
+        if (section === 'vs') {
+            VerbalizedSampling.updateCard();
+        }
+        ConfigCard.refresh();
+
+        const current = Object.entries(CONFIG[section])
+            .map(([k, v]) => `${k}=${v}`)
+            .join(' ');
+
+        // Without persistState the next hook rebuilds CONFIG from the defaults
+        const temporary = !isPersistEnabled() && applied.some(a => !a.startsWith('persistState='));
+
+        return [
+            applied.length > 0 ? `${section} updated: ${applied.join(', ')}` : `${section}: ${current}`,
+            ...(temporary ? ['Note: persistState is off, so this lasts for the current turn only - /system persistState=on keeps changes'] : []),
+            ...errors.map(e => `Error: ${e}`)
+        ].join('\n');
+    };
+
+    /**
+     * Command handlers keyed by name
+     */
+    const handlers = {
+        analytics: (args) => {
+            if (args.length > 0) {
+                return configureSection('system', args.map(a =>
+                    /^(on|off)$/i.test(a) ? `enableAnalytics=${a}` : a
+                ));
+            }
+
+            const s = Analytics.getSummary();
+            return `Analytics: ${s.totalOutputs} outputs, ${s.regenerations} regenerations (${s.regenRate}), ` +
+                `fatigue ${s.fatigueRate}, drift ${s.driftRate}, repeats ${s.repeatRate}` +
+                (CONFIG.system.enableAnalytics ? '' : ' [tracking off - use /analytics on]');
+        },
+
+        export: (args) => {
+            const format = (args.find(a => /^(json|csv)$/i.test(a)) || 'json').toLowerCase();
+            const page = Number(args.find(a => /^\d+$/.test(a)) || 1);
+            const unknown = args.filter(a => !/^(json|csv|\d+)$/i.test(a));
+
+            return unknown.length > 0 ?
+                `Unknown export option "${unknown[0]}" - use /export [json|csv] [page]` :
+                Analytics.exportRecords(format, page);
+        },
+
+        corrections: (args) => {
+            if (/^reset$/i.test(args[0] || '')) {
+                state.correctionStats = {};
+                return 'Correction effectiveness data cleared';
+            }
+            return DynamicCorrection.describe();
+        },
+
+        style: (args) => args.length > 0 ? StylePresets.select(args[0]) : StylePresets.describe(),
+
+        macros: () => {
+            const macros = Object.entries(InputMacros.getMacros());
+            if (macros.length === 0) {
+                return 'No macros defined - add lines like "!sneak = You move silently" to the "Writing System Macros" card';
+            }
+            return ['Macros:', ...macros.map(([name, m]) =>
+                [`!${name}`, ...m.params.map(p => `{${p}}`)].join(' ') + ` = ${m.template}`
+            )].join('\n');
+        },
+
+        tune: (args) => {
+            const mapped = args.map(a =>
+                /^(on|off)$/i.test(a) ? `autoTune=${a}` :
+                /^lock$/i.test(a) ? 'lockParams=on' :
+                /^unlock$/i.test(a) ? 'lockParams=off' : a
+            );
+            return mapped.length > 0 ? configureSection('vs', mapped) : VSTuner.describe();
+        },
+
+        reset: () => {
+            state.configOverrides = {};
+            state.configCardErrors = [];
+            delete state.vsTuning;
+            CONFIG_SECTIONS.forEach(section => {
+                Object.assign(CONFIG[section], CONFIG_DEFAULTS[section]);
+            });
+            const style = StylePresets.getActive();
+            if (style) {
+                StylePresets.select(style.name);
+            }
+            VerbalizedSampling.updateCard();
+            ConfigCard.refresh();
+            return style ?
+                `Configuration reset to the ${style.name} style defaults (/style off for the plain defaults)` :
+                'Configuration reset to defaults';
+        },
+
+        help: () => [
+            'Commands:',
+            '/vs [on|off] [k=5] [tau=0.10] [adaptive=on]',
+            '/bonepoke [on|off] [qualityThreshold=2.5] [fatigueThreshold=5]',
+            '/system [enableAnalytics=on] [persistState=on]',
+            '/analytics [on|off]',
+            '/tune [on|off|lock|unlock]',
+            '/corrections [reset]',
+            '/export [json|csv] [page]',
+            '/macros',
+            '/style [noir|cozy|horror|epic|off]',
+            '/reset'
+        ].join('\n')
+    };
+
+    CONFIG_SECTIONS.forEach(section => {
+        handlers[section] = (args) => configureSection(section, args);
+    });
+
+    /**
+     * Run a command if the input is one
+     * @param {string} input - Raw player input
+     * @returns {string|null} Confirmation message, or null if not a command
+     */
+    const execute = (input) => {
+        const command = parse(input);
+        if (!command) return null;
+
+        const handler = handlers[command.name];
+        const message = handler ?
+            handler(command.args) :
+            `Unknown command "/${command.name}" - type /help`;
+
+        safeLog(`Command /${command.name}: ${message}`, 'info');
+        return message;
+    };
+
+    return {
+        parse,
+        execute
     };
 })();
 
@@ -634,6 +5133,26 @@ const Analytics = (() => {
 // Initialize state on library load
 initState();
 
+// Apply the style preset - command overrides are layered on top of it
+StylePresets.sync();
+
+// Re-apply command overrides (CONFIG is rebuilt on every hook)
+applyConfigOverrides();
+
+// Pick up edits to the config card and mirror the effective CONFIG
+ConfigCard.sync();
+
+// Layer auto-tuned VS parameters under the player's own values
+VSTuner.apply();
+
+// Ensure the player-extensible cliche lexicon card exists
+if (CONFIG.bonepoke.enabled) {
+    ClicheLexicon.ensureCard();
+}
+
+// Ensure the player's input macro card exists
+InputMacros.ensureCard();
+
 // Ensure VS card exists
 if (CONFIG.vs.enabled) {
     VerbalizedSampling.ensureCard();
@@ -0,0 +1,251 @@
+/**
+ * ============================================================================
+ * OFFLINE AI DUNGEON RUNTIME
+ * Runs sharedLibrary.js and the lifecycle scripts under Node
+ * ============================================================================
+ *
+ * Emulates what AI Dungeon does on every hook:
+ * - fresh execution context (the shared library re-runs each time)
+ * - sharedLibrary.js first, then the lifecycle script, then modifier(text)
+ * - `state` round-tripped through JSON between hooks
+ * - `history`, `storyCards`, `addStoryCard`, `log` and `info` globals
+ *
+ * Date.now and Math.random are deterministic so sessions can be compared
+ * against golden files.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.resolve(__dirname, '..');
+
+const SCRIPTS = {
+    input: 'input.js',
+    context: 'context.js',
+    output: 'output.js'
+};
+
+const sourceCache = {};
+
+/**
+ * Read a script from the repository root (cached per process)
+ * @param {string} file - File name relative to the repo root
+ * @returns {string} Script source
+ */
+const readScript = (file) => {
+    if (!(file in sourceCache)) {
+        sourceCache[file] = fs.readFileSync(path.join(ROOT, file), 'utf8');
+    }
+    return sourceCache[file];
+};
+
+/**
+ * Deep copy through JSON, the way AI Dungeon persists state
+ * Also strips VM-realm prototypes so results compare cleanly
+ */
+const clone = (value) => value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+
+/**
+ * Create an emulated adventure
+ * @param {Object} [options]
+ * @param {Object} [options.state={}] - Initial state
+ * @param {Object[]} [options.storyCards=[]] - Initial story cards
+ * @param {Object[]} [options.history=[]] - Initial history entries ({ text, type })
+ * @param {number} [options.startTime] - Fake clock start (ms)
+ * @returns {Object} Runtime API
+ */
+const createRuntime = ({
+    state = {},
+    storyCards = [],
+    history = [],
+    startTime = 1700000000000
+} = {}) => {
+    const runtime = {
+        state: clone(state),
+        storyCards: clone(storyCards),
+        history: clone(history),
+        logs: [],
+        clock: startTime,
+        seed: 1
+    };
+
+    /**
+     * Build a fresh context with AI Dungeon globals and load the library
+     */
+    const createContext = () => {
+        const storyCardsRef = clone(runtime.storyCards);
+
+        const context = vm.createContext({
+            state: clone(runtime.state),
+            history: clone(runtime.history),
+            storyCards: storyCardsRef,
+            info: {
+                actionCount: runtime.history.filter(h => h.type !== 'ai').length,
+                characters: []
+            },
+            log: (...args) => {
+                runtime.logs.push(args.map(a =>
+                    typeof a === 'string' ? a : JSON.stringify(a)
+                ).join(' '));
+            },
+            addStoryCard: (keys = '', entry = '', type = 'Custom') => {
+                storyCardsRef.push({
+                    id: String(storyCardsRef.length),
+                    title: keys,
+                    keys,
+                    entry,
+                    type,
+                    description: ''
+                });
+                return storyCardsRef.length;
+            },
+            __clock: runtime.clock,
+            __seed: runtime.seed
+        });
+
+        // Deterministic time and randomness inside the sandbox
+        vm.runInContext(`
+            Date.now = () => __clock;
+            Math.random = () => {
+                __seed = (__seed * 16807) % 2147483647;
+                return (__seed - 1) / 2147483646;
+            };
+        `, context);
+
+        vm.runInContext(readScript('sharedLibrary.js'), context, { filename: 'sharedLibrary.js' });
+        return context;
+    };
+
+    /**
+     * Persist state and story cards from a finished context
+     */
+    const commit = (context) => {
+        runtime.state = clone(context.state);
+        runtime.storyCards = clone(context.storyCards);
+        runtime.seed = context.__seed;
+        runtime.clock += 1000;
+    };
+
+    /**
+     * Run one lifecycle hook exactly once
+     * @param {string} hook - 'input', 'context' or 'output'
+     * @param {string} text - Text passed to modifier
+     * @returns {Object} The modifier's return value ({ text, stop? })
+     */
+    const runHook = (hook, text) => {
+        if (!SCRIPTS[hook]) {
+            throw new Error(`Unknown hook: ${hook}`);
+        }
+
+        const context = createContext();
+        vm.runInContext(readScript(SCRIPTS[hook]), context, { filename: SCRIPTS[hook] });
+
+        context.text = text;
+        const result = clone(vm.runInContext('modifier(text)', context));
+        commit(context);
+        return result;
+    };
+
+    /**
+     * Evaluate an expression with the shared library loaded
+     * Useful for calling BonepokeAnalysis, DynamicCorrection, etc. directly
+     * @param {string} expression - JavaScript expression
+     * @returns {*} JSON-cloned result
+     */
+    const evaluate = (expression) => {
+        const context = createContext();
+        const result = clone(vm.runInContext(expression, context));
+        commit(context);
+        return result;
+    };
+
+    /**
+     * Build the text AI Dungeon would hand to the context hook
+     */
+    const buildContext = () => runtime.history.map(h => h.text).join('');
+
+    /**
+     * Play one turn through the full modifier pipeline
+     * @param {Object} turn
+     * @param {string} [turn.type='do'] - 'do', 'say', 'story' or 'continue'
+     * @param {string} [turn.input=''] - Player input (ignored for continue)
+     * @param {string|string[]} turn.output - Model output, or one per attempt
+     *   when the output hook asks for regeneration
+     * @returns {Object} Turn record
+     */
+    const turn = ({ type = 'do', input = '', output = '' }) => {
+        const record = { type, input };
+
+        if (type === 'continue') {
+            runtime.history.push({ text: '', type: 'continue' });
+        } else {
+            const inputResult = runHook('input', input);
+            record.inputResult = inputResult;
+
+            if (inputResult.stop) {
+                return record;
+            }
+
+            runtime.history.push({ text: inputResult.text, type });
+        }
+
+        record.context = runHook('context', buildContext()).text;
+
+        const attempts = Array.isArray(output) ? output : [output];
+        record.outputs = [];
+
+        for (const candidate of attempts) {
+            const outputResult = runHook('output', candidate);
+            record.outputs.push(outputResult);
+
+            if (!outputResult.stop) {
+                runtime.history.push({ text: outputResult.text, type: 'ai' });
+                break;
+            }
+        }
+
+        return record;
+    };
+
+    return {
+        runHook,
+        evaluate,
+        turn,
+        get state() { return runtime.state; },
+        get storyCards() { return runtime.storyCards; },
+        get history() { return runtime.history; },
+        get logs() { return runtime.logs; }
+    };
+};
+
+/**
+ * Play a whole session fixture and return a comparable snapshot
+ * @param {Object} fixture
+ * @param {Object} [fixture.config] - CONFIG overrides, applied like /commands
+ * @param {Object[]} fixture.turns - Turns passed to runtime.turn()
+ * @returns {Object} { turns, state, storyCards, history, logs }
+ */
+const playSession = (fixture) => {
+    const runtime = createRuntime({
+        state: fixture.config ? { configOverrides: fixture.config } : {},
+        storyCards: fixture.storyCards || [],
+        history: fixture.history || []
+    });
+
+    const turns = fixture.turns.map(t => runtime.turn(t));
+
+    return {
+        turns,
+        state: runtime.state,
+        storyCards: runtime.storyCards,
+        history: runtime.history,
+        logs: runtime.logs
+    };
+};
+
+module.exports = {
+    ROOT,
+    createRuntime,
+    playSession
+};
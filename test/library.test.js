@@ -0,0 +1,1023 @@
+/**
+ * Focused tests for shared library modules and lifecycle scripts
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRuntime } = require('./harness');
+
+test('library load initializes state and creates the VS card', () => {
+    const runtime = createRuntime();
+    runtime.evaluate('void 0');
+
+    assert.strictEqual(runtime.state.initialized, true);
+    assert.deepStrictEqual(runtime.state.dynamicCards, []);
+    assert.ok(runtime.storyCards.some(c => c.title === 'VS_System'));
+});
+
+test('BonepokeAnalysis flags fatigue and drift, leaving contradictions to continuity tracking', () => {
+    const runtime = createRuntime();
+    const analysis = runtime.evaluate(`BonepokeAnalysis.analyze(
+        "The lamp glows. The lamp flickers. The lamp hums. The lamp dims. The lamp dies. " +
+        "The system sequence loops. She was already gone but not forgotten."
+    )`);
+
+    assert.deepStrictEqual(analysis.composted.fatigue, { lamp: 5 });
+    assert.deepStrictEqual(analysis.composted.drift, ['The system sequence loops.']);
+    assert.deepStrictEqual(analysis.composted.continuity, []);
+    assert.ok(!analysis.suggestions.some(s => s.startsWith('Contradiction')));
+    assert.strictEqual(analysis.scores['Word Variety'], 3);
+    assert.strictEqual(analysis.scores['Story Flow'], 3);
+});
+
+test('DynamicCorrection creates guidance cards and cleans them up', () => {
+    const runtime = createRuntime();
+    runtime.evaluate(`DynamicCorrection.applyCorrections(BonepokeAnalysis.analyze(
+        "Bells ring. Bells toll. Bells chime. Bells peal. Bells clang."
+    ))`);
+
+    assert.deepStrictEqual(runtime.state.dynamicCards, ['DynamicCorrection_Variety', 'DynamicCorrection_Rhythm']);
+    assert.match(runtime.storyCards.find(c => c.title === 'DynamicCorrection_Variety').entry, /bells/);
+    assert.match(runtime.storyCards.find(c => c.title === 'DynamicCorrection_Rhythm').entry,
+        /last 5 sentences began with 'Bells'/);
+
+    runtime.evaluate('DynamicCorrection.cleanup()');
+    assert.deepStrictEqual(runtime.state.dynamicCards, []);
+    assert.ok(!runtime.storyCards.some(c => c.title.startsWith('DynamicCorrection_')));
+});
+
+test('correction cards escalate on recurrence, decay once resolved and report effectiveness', () => {
+    const runtime = createRuntime();
+    const repetitive = JSON.stringify('Bells ring. Bells toll. Bells chime. Bells peal. Bells clang.');
+    const clean = JSON.stringify('The square empties as the rain begins.');
+    const variety = () => runtime.storyCards.find(c => c.title === 'DynamicCorrection_Variety');
+
+    runtime.evaluate(`DynamicCorrection.applyCorrections(BonepokeAnalysis.analyze(${repetitive}))`);
+    assert.match(variety().entry, /^\[Style guidance: Avoid repeating/);
+
+    // The next output repeats the issue despite the card
+    runtime.evaluate(`DynamicCorrection.recordOutcome(BonepokeAnalysis.analyze(${repetitive}))`);
+    runtime.evaluate(`DynamicCorrection.applyCorrections(BonepokeAnalysis.analyze(${repetitive}))`);
+    assert.match(variety().entry, /^\[Style guidance - repeated issue: .* follow it closely\.\]$/);
+    assert.strictEqual(runtime.state.correctionCards.Variety.level, 2);
+
+    // A clean output eases the wording back down a level
+    runtime.evaluate(`DynamicCorrection.recordOutcome(BonepokeAnalysis.analyze(${clean}))`);
+    assert.strictEqual(runtime.state.correctionCards.Variety.level, 1);
+    assert.match(variety().entry, /^\[Style guidance: Avoid repeating .*\]$/);
+    assert.doesNotMatch(variety().entry, /repeated issue|follow it closely/);
+
+    // Resolved: the card outlives the issue for correctionTurns (3) turns, then decays
+    runtime.evaluate(`DynamicCorrection.applyCorrections(BonepokeAnalysis.analyze(${clean}))`);
+    runtime.evaluate(`DynamicCorrection.applyCorrections(BonepokeAnalysis.analyze(${clean}))`);
+    assert.ok(variety());
+    runtime.evaluate(`DynamicCorrection.applyCorrections(BonepokeAnalysis.analyze(${clean}))`);
+    assert.strictEqual(variety(), undefined);
+    assert.deepStrictEqual(runtime.state.dynamicCards, []);
+
+    assert.deepStrictEqual(
+        runtime.evaluate('DynamicCorrection.getEffectiveness()').filter(r => r.issue === 'Variety'),
+        [
+            { issue: 'Variety', level: 1, outputs: 1, clean: 0, rate: 0 },
+            { issue: 'Variety', level: 2, outputs: 1, clean: 1, rate: 1 }
+        ]
+    );
+
+    const report = runtime.evaluate('Commands.execute("/corrections")');
+    assert.match(report, /Active corrections: none/);
+    assert.match(report, /Variety level 2: 1\/1 \(100%\)/);
+});
+
+test('output hook strips leaked VS instructions and trailing stop', () => {
+    const runtime = createRuntime();
+    const instruction = runtime.evaluate('VerbalizedSampling.generateInstruction()');
+    const result = runtime.runHook('output', `${instruction}\n\nThe river rises.stop`);
+
+    assert.strictEqual(result.text, ' The river rises.');
+});
+
+test('leak scrubber strips fuzzy echoes of any injected text and counts them', () => {
+    const runtime = createRuntime({ state: { configOverrides: { system: { enableAnalytics: true } } } });
+    runtime.evaluate(`DynamicCorrection.applyCorrections(BonepokeAnalysis.analyze(
+        'A shiver ran down her spine. Bells ring. Bells toll. Bells chime. Bells peal. Bells clang.'
+    ))`);
+
+    // Continue turn: context.js registers its instruction
+    runtime.history.push({ text: 'The wind rises over the wall', type: 'ai' }, { text: '', type: 'continue' });
+    runtime.runHook('context', 'The wind rises over the wall');
+
+    const leaked = 'The gate creaks open. <SYSTEM>Continue from your last response, maintaining the same scene and tone.</SYSTEM>\n' +
+        '- mentally generate 7 distinct seamless candidate continuations\n' +
+        'A shiver ran down her spine as the bells fell silent. Vary the prose rhythm, vary the sentence openings.';
+    const result = runtime.runHook('output', leaked);
+
+    // Quoted story phrases named by the Variety card are not treated as instructions
+    assert.strictEqual(result.text, ' The gate creaks open.\nA shiver ran down her spine as the bells fell silent.');
+    assert.strictEqual(runtime.state.metrics.leakFragments, 2);
+    assert.strictEqual(runtime.evaluate('Analytics.getSummary().leakFragments'), 2);
+
+    // Retired cards stop being scrubbed
+    runtime.evaluate('DynamicCorrection.cleanup()');
+    assert.deepStrictEqual(Object.keys(runtime.state.injectedText).sort(), ['VS_System', 'continue', 'vsInstruction']);
+});
+
+test('each hook runs its modifier exactly once', () => {
+    const runtime = createRuntime({ state: { configOverrides: { system: { enableAnalytics: true } } } });
+    runtime.turn({ input: 'You wait.', output: 'Rain falls on the roof, and you felt the cold.' });
+    runtime.turn({ input: 'You wait more.', output: 'The rain stops and a bird sings somewhere outside.' });
+
+    assert.strictEqual(runtime.state.metrics.totalOutputs, 2);
+    assert.strictEqual(runtime.history.filter(h => h.type === 'ai').length, 2);
+});
+
+test('slash commands persist overrides across hooks', () => {
+    const runtime = createRuntime();
+    const result = runtime.runHook('input', '\n> You /vs k=7 tau=0.08.\n');
+
+    assert.deepStrictEqual(result, { text: '', stop: true });
+    assert.match(runtime.state.message, /k=7, tau=0.08/);
+    assert.deepStrictEqual(runtime.evaluate('[CONFIG.vs.k, CONFIG.vs.tau]'), [7, 0.08]);
+
+    runtime.runHook('input', '/reset');
+    assert.deepStrictEqual(runtime.evaluate('[CONFIG.vs.k, CONFIG.vs.tau]'), [5, 0.1]);
+});
+
+test('invalid command arguments are reported, not applied', () => {
+    const runtime = createRuntime();
+    runtime.runHook('input', '/bonepoke qualityThreshold=high nonsense=1');
+
+    assert.match(runtime.state.message, /qualityThreshold expects a number/);
+    assert.match(runtime.state.message, /unknown option "nonsense"/);
+    assert.strictEqual(runtime.state.configOverrides, undefined);
+});
+
+/**
+ * Replace the config card entry the way a player would in the editor
+ */
+const editConfigCard = (runtime, entry) => createRuntime({
+    state: runtime.state,
+    storyCards: runtime.storyCards.map(c =>
+        c.title === 'Writing System Config' ? { ...c, entry } : c
+    )
+});
+
+test('config card mirrors CONFIG and applies valid player edits', () => {
+    const runtime = createRuntime();
+    runtime.evaluate('void 0');
+
+    const card = runtime.storyCards.find(c => c.title === 'Writing System Config');
+    assert.match(card.entry, /^vs\.k=5$/m);
+    assert.strictEqual(runtime.state.configSnapshot.vs.k, 5);
+
+    const edited = editConfigCard(runtime, card.entry
+        .replace('vs.k=5', 'vs.k=20')
+        .replace('vs.tau=0.1', 'tau=0.08') + '\nenabled=false');
+    edited.evaluate('void 0');
+
+    const updated = edited.storyCards.find(c => c.title === 'Writing System Config');
+    assert.deepStrictEqual(edited.state.configOverrides, { vs: { tau: 0.08 } });
+    assert.match(updated.entry, /^vs\.k=5$/m);
+    assert.match(updated.description, /k must be between 3 and 10/);
+    assert.match(updated.description, /"enabled" is ambiguous/);
+    assert.match(edited.storyCards.find(c => c.title === 'VS_System').entry, /p < 0.08/);
+});
+
+test('config card accepts JSON and clears errors on a clean edit', () => {
+    const runtime = createRuntime();
+    runtime.evaluate('void 0');
+
+    const edited = editConfigCard(runtime, '{"vs": {"k": 8}, "qualityThreshold": 3}');
+    edited.evaluate('void 0');
+
+    assert.deepStrictEqual(edited.state.configOverrides, { vs: { k: 8 }, bonepoke: { qualityThreshold: 3 } });
+    assert.doesNotMatch(edited.storyCards.find(c => c.title === 'Writing System Config').description, /Rejected/);
+});
+
+test('overrides are ignored when persistState is off', () => {
+    const runtime = createRuntime({
+        state: { configOverrides: { vs: { k: 9 }, system: { persistState: false } } }
+    });
+
+    assert.strictEqual(runtime.evaluate('CONFIG.vs.k'), 5);
+    assert.strictEqual(runtime.evaluate('CONFIG.system.persistState'), false);
+
+    // The card still mirrors CONFIG and says why edits don't take
+    const card = () => runtime.storyCards.find(c => c.title === 'Writing System Config');
+    assert.match(card().entry, /^vs\.k=5$/m);
+    assert.match(card().entry, /^system\.persistState=false$/m);
+    assert.match(card().description, /^persistState is off - edits are ignored/);
+
+    card().entry = card().entry.replace('vs.k=5', 'vs.k=8');
+    assert.strictEqual(runtime.evaluate('CONFIG.vs.k'), 5);
+    assert.match(card().entry, /^vs\.k=5$/m);
+
+    // Commands still work for the current turn, and say so
+    const reply = runtime.evaluate('Commands.execute("/vs k=7")');
+    assert.match(reply, /^vs updated: k=7\nNote: persistState is off, so this lasts for the current turn only/);
+    assert.strictEqual(runtime.evaluate('CONFIG.vs.k'), 5);
+    assert.doesNotMatch(runtime.evaluate('Commands.execute("/system persistState=on")'), /Note:/);
+    assert.deepStrictEqual(runtime.state.configOverrides, { vs: { k: 9 }, system: { persistState: true } });
+
+    // The switch itself can be turned back on from the card
+    const off = createRuntime({ state: { configOverrides: { system: { persistState: false } } } });
+    off.evaluate('void 0');
+    const offCard = off.storyCards.find(c => c.title === 'Writing System Config');
+    offCard.entry = offCard.entry.replace('system.persistState=false', 'system.persistState=true');
+    assert.strictEqual(off.evaluate('CONFIG.system.persistState'), true);
+    assert.match(off.storyCards.find(c => c.title === 'Writing System Config').description, /^Writing System configuration/);
+});
+
+test('ContinuityTracker flags a dead character acting in a later output', () => {
+    const runtime = createRuntime();
+    runtime.turn({ input: 'You fight.', output: 'The arrow finds its mark. Then Mara died in your arms.' });
+    runtime.turn({ input: 'You wait.', output: 'Hours pass in the cold.' });
+
+    assert.strictEqual(runtime.state.continuity.entities.Mara.status, 'dead');
+
+    const analysis = runtime.evaluate('BonepokeAnalysis.analyze("Mara smiled at you from the doorway.")');
+    assert.deepStrictEqual(analysis.composted.continuity, [{
+        entity: 'Mara',
+        fact: 'Mara died (turn 1)',
+        line: 'Mara smiled at you from the doorway.'
+    }]);
+    assert.strictEqual(analysis.scores['Story Flow'], 2.5);
+    assert.ok(analysis.suggestions.some(s => s.includes('Mara died (turn 1)')));
+
+    runtime.evaluate('DynamicCorrection.applyCorrections(BonepokeAnalysis.analyze("Mara smiled at you."))');
+    assert.match(runtime.storyCards.find(c => c.title === 'DynamicCorrection_Coherence').entry,
+        /Established facts: Mara died \(turn 1\)/);
+});
+
+test('ContinuityTracker tracks relationships, items and injuries', () => {
+    const runtime = createRuntime();
+    runtime.evaluate(`ContinuityTracker.record(
+        "Tomas is Mara's brother. Tomas's sword shatters. Tomas breaks his left leg."
+    )`);
+
+    const conflicts = runtime.evaluate(`ContinuityTracker.check(
+        "Tomas is Mara's father. Tomas draws his sword. Tomas sprinted for the gate."
+    )`).map(c => c.fact);
+
+    assert.deepStrictEqual(conflicts, [
+        "Tomas is Mara's brother (turn 1)",
+        "Tomas's sword was destroyed (turn 1)",
+        'Tomas has an injured leg (turn 1)'
+    ]);
+});
+
+test('ContinuityTracker reads a possessive object as the owner, not the victim', () => {
+    const runtime = createRuntime();
+    runtime.evaluate(`ContinuityTracker.record("The bandit killed Mara's dog. Tomas's sister, Ilse's friend, waits.")`);
+
+    assert.deepStrictEqual(runtime.evaluate('Object.keys(ContinuityTracker.getFacts())'), []);
+    assert.deepStrictEqual(runtime.evaluate('ContinuityTracker.check("Mara says nothing and buries the dog.")'), []);
+});
+
+test('ContinuityTracker does not flag recent history against itself', () => {
+    const runtime = createRuntime();
+    const text = 'Mara laughed at the joke. An hour later Mara died.';
+    runtime.evaluate(`ContinuityTracker.record(${JSON.stringify(text)})`);
+
+    assert.deepStrictEqual(runtime.evaluate(`ContinuityTracker.check(${JSON.stringify(text)})`), []);
+});
+
+test('EntityCards builds cards for introduced characters and factions', () => {
+    const runtime = createRuntime({
+        storyCards: [{ title: 'Mara', keys: 'Mara', entry: 'Player card', type: 'character', description: '' }]
+    });
+    runtime.turn({
+        input: 'You enter.',
+        output: 'A woman named Elsbeth Crane polishes glasses behind the bar. Elsbeth wears a green shawl and a silver ring. ' +
+            'Mara nods at you from the corner table. Members of the Iron Brotherhood drink by the fire.'
+    });
+    runtime.turn({
+        input: 'You listen.',
+        output: 'Captain Reyes of the Iron Brotherhood strides over, scarred and grinning. Elsbeth Crane laughed as she poured another drink.'
+    });
+
+    const byTitle = (title) => runtime.storyCards.find(c => c.title === title);
+
+    assert.strictEqual(byTitle('Iron Brotherhood').type, 'faction');
+    assert.strictEqual(byTitle('Iron Brotherhood').keys, 'Iron Brotherhood');
+    assert.strictEqual(byTitle('Elsbeth Crane').keys, 'Elsbeth Crane,Elsbeth,Crane');
+    assert.match(byTitle('Elsbeth Crane').entry, /laughed as she poured/);
+    assert.strictEqual(byTitle('Mara').entry, 'Player card');
+    assert.strictEqual(runtime.storyCards.filter(c => c.title === 'Mara').length, 1);
+
+    // A common noun capitalized only by the sentence start is not a place
+    const detected = runtime.evaluate('EntityCards.detect("The Market is crowded today. The Guild of thieves meets at dusk.")');
+    assert.deepStrictEqual(detected.filter(e => e.type !== 'character'), []);
+
+    // A sentence-initial adverb is not part of the name, but a name ending in -ly is kept
+    const adverbs = createRuntime();
+    adverbs.evaluate('EntityCards.update("Slowly Ilsa nods at the stranger. Later Ilsa pours the wine. Emily laughs.")');
+    adverbs.evaluate('EntityCards.update("Slowly Ilsa nods again and wipes the counter. Outside Ilsa lights a lamp.")');
+    assert.deepStrictEqual(adverbs.storyCards.filter(c => /Ilsa/.test(c.title)).map(c => c.title), ['Ilsa']);
+    assert.deepStrictEqual(
+        adverbs.evaluate('ContinuityTracker.extractEvents("Later Ilsa died. Slowly Emily nods.")').map(e => e.entity),
+        ['Ilsa', 'Emily']);
+});
+
+test('EntityCards updates its own cards but leaves edited ones alone', () => {
+    const runtime = createRuntime();
+    const intro = 'A smith named Oren Vask hammers at the forge. Oren Vask has soot-black forearms and a missing tooth.';
+    runtime.evaluate(`EntityCards.update(${JSON.stringify(intro)})`);
+    runtime.evaluate('EntityCards.update("Oren Vask spits into the coals and curses the weather.")');
+
+    const card = () => runtime.storyCards.find(c => c.title === 'Oren Vask');
+    assert.match(card().entry, /curses the weather/);
+
+    runtime.storyCards.find(c => c.title === 'Oren Vask').entry = 'Edited by the player';
+    const edited = createRuntime({ state: runtime.state, storyCards: runtime.storyCards });
+    edited.evaluate('EntityCards.update("Oren Vask sharpens a long knife on the whetstone.")');
+
+    assert.strictEqual(edited.storyCards.find(c => c.title === 'Oren Vask').entry, 'Edited by the player');
+    assert.strictEqual(edited.storyCards.filter(c => c.title === 'Oren Vask').length, 1);
+});
+
+test('TextSegmenter handles abbreviations, decimals, ellipses and dialogue', () => {
+    const runtime = createRuntime();
+    const text = 'Mr. Hale paid 3.5 crowns. "Run! They\'re coming... Now!" Mara shouted. ' +
+        'She waited... and waited.\n"I know," said Tomas, "but we can\'t stay."';
+    const segments = runtime.evaluate(`TextSegmenter.segment(${JSON.stringify(text)})`);
+
+    assert.deepStrictEqual(segments.map(s => [s.text, s.dialogue, s.speaker, s.paragraph]), [
+        ['Mr. Hale paid 3.5 crowns.', false, null, 0],
+        ['"Run!', true, 'Mara', 0],
+        ["They're coming...", true, 'Mara', 0],
+        ['Now!"', true, 'Mara', 0],
+        ['Mara shouted.', false, null, 0],
+        ['She waited... and waited.', false, null, 0],
+        ['"I know,"', true, 'Tomas', 1],
+        ['said Tomas,', false, null, 1],
+        ['"but we can\'t stay."', true, 'Tomas', 1]
+    ]);
+    assert.strictEqual(text.slice(segments[4].start, segments[4].end), 'Mara shouted.');
+});
+
+test('drift ignores dialogue and continuity ignores reported speech', () => {
+    const runtime = createRuntime();
+    const analysis = runtime.evaluate(`BonepokeAnalysis.analyze(
+        '"The system is a loop," the engineer warned. "Tomas died," Mara lied. Tomas laughed.'
+    )`);
+
+    assert.deepStrictEqual(analysis.composted.drift, []);
+
+    runtime.evaluate(`ContinuityTracker.record('"Tomas died last winter," Mara whispered.')`);
+    assert.strictEqual(runtime.state.continuity.entities.Tomas, undefined);
+    assert.strictEqual(runtime.state.continuity.entities.Mara.lastSeen, 1);
+});
+
+test('PhraseTracker flags stock phrases reused across turns and lets them decay', () => {
+    const runtime = createRuntime();
+    const first = 'A shiver ran down her spine as Mara opened the door. The wind howled outside.';
+    const second = 'Mara stepped inside. A shiver ran down her spine once more.';
+
+    runtime.evaluate(`PhraseTracker.record(${JSON.stringify(first)})`);
+    const analysis = runtime.evaluate(`BonepokeAnalysis.analyze(${JSON.stringify(second)})`);
+
+    assert.deepStrictEqual(analysis.composted.phrases, { 'shiver ran down her spine': 1 });
+    assert.strictEqual(analysis.scores['Word Variety'], 3);
+
+    runtime.evaluate(`DynamicCorrection.applyCorrections(BonepokeAnalysis.analyze(${JSON.stringify(second)}))`);
+    assert.match(runtime.storyCards.find(c => c.title === 'DynamicCorrection_Variety').entry,
+        /Avoid these phrases: "shiver ran down her spine"/);
+
+    // Two unrelated outputs later the phrase has decayed below the threshold
+    runtime.evaluate('PhraseTracker.record("The road bends north."); PhraseTracker.record("Rain begins to fall.")');
+    assert.deepStrictEqual(runtime.evaluate(`PhraseTracker.check(${JSON.stringify(second)})`), {});
+
+    // Function words alone never form a phrase
+    assert.deepStrictEqual(runtime.evaluate('BonepokeAnalysis.traceFatigue("their their their their their")'), {});
+});
+
+test('cliche lexicon scores freshness and can be extended from its card', () => {
+    const runtime = createRuntime();
+    runtime.evaluate('void 0');
+
+    const card = runtime.storyCards.find(c => c.title === 'Writing System Cliches');
+    card.entry += '\nthe silence was deafening = 3 | describe a sound instead\nutterly = 0\nglowing = 7';
+
+    const edited = createRuntime({ state: runtime.state, storyCards: runtime.storyCards });
+    const text = 'Her orbs held a mix of fear and longing. The silence was deafening. ' +
+        'He was utterly lost. "Your orbs," he said.';
+    const analysis = edited.evaluate(`BonepokeAnalysis.analyze(${JSON.stringify(text)})`);
+
+    assert.deepStrictEqual(analysis.composted.cliches.map(c => c.match),
+        ['orbs', 'a mix of fear and longing', 'The silence was deafening']);
+    assert.strictEqual(analysis.scores['Freshness'], 1);
+    assert.ok(analysis.suggestions.includes('Cliche: "The silence was deafening" - describe a sound instead'));
+
+    edited.evaluate(`DynamicCorrection.applyCorrections(BonepokeAnalysis.analyze(${JSON.stringify(text)}))`);
+    assert.match(edited.storyCards.find(c => c.title === 'DynamicCorrection_Freshness').entry,
+        /"orbs", "the silence was deafening", "a mix of fear and longing"/);
+    assert.strictEqual(edited.storyCards.find(c => c.title === 'Writing System Cliches').description,
+        'Rejected: "glowing": severity must be 0-3');
+
+    // A | inside parentheses is an alternation, not the hint separator
+    const alternations = 'eyes (sparkling|twinkling) with glee = 3\n(gleaming|glinting) blade | just say sharp';
+    const parsed = edited.evaluate(`ClicheLexicon.parseEntry(${JSON.stringify(alternations)})`);
+    assert.deepStrictEqual(parsed, {
+        entries: [
+            { phrase: 'eyes (sparkling|twinkling) with glee', severity: 3 },
+            { phrase: '(gleaming|glinting) blade', severity: 2, hint: 'just say sharp' }
+        ],
+        errors: []
+    });
+
+    const cards = edited.storyCards;
+    cards.find(c => c.title === 'Writing System Cliches').entry = alternations;
+    const alternated = createRuntime({ state: edited.state, storyCards: cards });
+    assert.deepStrictEqual(alternated.evaluate('BonepokeAnalysis.detectCliches("Her eyes twinkling with glee, she drew a glinting blade.")')
+        .map(c => [c.match, c.hint]), [['eyes twinkling with glee', undefined], ['glinting blade', 'just say sharp']]);
+});
+
+test('scoring dimensions can be registered, weighted and disabled', () => {
+    const runtime = createRuntime({ state: { configOverrides: { system: { enableAnalytics: true } } } });
+    const result = runtime.evaluate(`(() => {
+        BonepokeAnalysis.registerDimension('Setting Detail',
+            (composted) => /\\b(rain|mud|smoke)\\b/i.test(composted.fragment) ? 5 : 1,
+            { weight: 3 });
+        BonepokeAnalysis.configureDimension('Dialogue Weight', { enabled: false });
+
+        const analysis = BonepokeAnalysis.analyze('Rain hammers the mud. She felt the cold.');
+        Analytics.recordOutput(analysis);
+        return { analysis, summary: Analytics.getSummary() };
+    })()`);
+    const { scores, weights, avgScore } = result.analysis;
+
+    assert.strictEqual(scores['Setting Detail'], 5);
+    assert.strictEqual(scores['Dialogue Weight'], undefined);
+    assert.strictEqual(weights['Setting Detail'], 3);
+
+    const expected = Object.entries(scores).reduce((sum, [name, score]) => sum + score * weights[name], 0) /
+        Object.values(weights).reduce((a, b) => a + b, 0);
+    assert.strictEqual(avgScore, expected);
+    assert.strictEqual(result.summary.dimensionAverages['Setting Detail'], 5);
+
+    assert.throws(() => runtime.evaluate("BonepokeAnalysis.registerDimension('Broken', null)"),
+        /requires a scorer function/);
+});
+
+test('writing report card tracks totals, trends and overused terms after every output', () => {
+    const runtime = createRuntime({ state: { configOverrides: { system: { enableAnalytics: true, reportTurns: 5 } } } });
+
+    runtime.turn({ input: 'look around', output: 'Rain hammers the mud of the square. A crow watches you from the well.' });
+    runtime.turn({ input: 'wait', output: 'Bells ring. Bells toll. Bells chime. Bells peal. Bells clang.' });
+
+    const card = runtime.storyCards.find(c => c.title === 'Writing Report');
+    assert.strictEqual(card.keys, '@writing-report');
+
+    const lines = card.entry.split('\n');
+    assert.strictEqual(lines[0], 'Outputs: 2 | Regens: 0 (0.0%)');
+    assert.strictEqual(lines[2], 'Quality, last 2 turns:');
+    assert.match(lines[3], /^[▁-█]{2} \(now \d\.\d\)$/);
+    assert.ok(lines.includes('Rhythm: 3.0 █▁'));
+    assert.strictEqual(lines[lines.length - 1], 'bells x1');
+
+    assert.strictEqual(runtime.evaluate('Analytics.sparkline([1, 2, 3, 4, 5])'), '▁▃▅▆█');
+});
+
+test('turn records are stored compactly and export as paged JSON or CSV', () => {
+    const runtime = createRuntime({ state: { configOverrides: { system: { enableAnalytics: true } } } });
+    runtime.turn({ input: 'look around', output: 'Bells ring. Bells toll. Bells chime. Bells peal. Bells clang.' });
+
+    assert.deepStrictEqual(runtime.state.turnLog.rows[0].slice(0, 6), [1, 5, 0.1, 0, 3.13, 'Variety Rhythm']);
+    assert.deepStrictEqual(Object.keys(runtime.state.bonepokeHistory[0]), ['avgScore', 'quality', 'scores', 'issues']);
+
+    // Enough records to need several pages
+    runtime.evaluate(`(() => {
+        const analysis = BonepokeAnalysis.analyze('Rain hammers the mud. A crow watches from the well.');
+        for (let i = 0; i < 80; i++) Analytics.recordOutput(analysis, i % 2);
+    })()`);
+
+    const message = runtime.evaluate('Commands.execute("/export csv")');
+    assert.match(message, /^Exported page 1\/(\d+) \(\d+ of 81 turns\) as CSV/);
+    const pageCount = Number(message.match(/page 1\/(\d+)/)[1]);
+    assert.ok(pageCount > 1);
+
+    const card = () => runtime.storyCards.find(c => c.title === 'Writing Export');
+    const csv = card().entry.split('\n');
+    assert.strictEqual(csv[0], 'turn,k,tau,regens,avgScore,issues,Emotional Strength,Story Flow,' +
+        'Character Clarity,Dialogue Weight,Word Variety,Freshness,Rhythm,Voice Consistency');
+    assert.strictEqual(csv[1], '1,5,0.1,0,3.13,Variety;Rhythm,2,5,2,2,3,5,1,5');
+    assert.ok(card().entry.length <= 2000);
+    assert.match(card().description, /page 1\/\d+ - \/export csv 2 for the next page/);
+
+    // JSON pages hold fewer records, so they are counted separately
+    const jsonPages = Number(runtime.evaluate('Commands.execute("/export json")').match(/page 1\/(\d+)/)[1]);
+    runtime.evaluate(`Commands.execute("/export json ${jsonPages}")`);
+    const records = JSON.parse(card().entry);
+    assert.strictEqual(records[records.length - 1].turn, 81);
+    assert.strictEqual(records[records.length - 1].regens, 1);
+
+    assert.match(runtime.evaluate('Commands.execute("/export xml")'), /Unknown export option "xml"/);
+    assert.match(runtime.evaluate('Commands.execute("/export 99")'), /Page 99 does not exist/);
+});
+
+test('repeated passages are trimmed or regenerated and repeat rates tracked', () => {
+    const history = [
+        { text: 'You enter the hall.', type: 'do' },
+        { text: ' The old guard leans on his spear and watches the road. Rain drips from the broken gutter.', type: 'ai' }
+    ];
+
+    // Trim: a reworded copy of an earlier sentence and an in-reply loop are cut
+    const trimmed = createRuntime({ history, state: { configOverrides: { system: { enableAnalytics: true } } } });
+    const record = trimmed.turn({
+        input: 'wait',
+        output: 'The old guard leans on his spear, watching the road. A cart rolls past the gate. A cart rolls past the gate again.'
+    });
+    assert.strictEqual(record.outputs[0].text, ' A cart rolls past the gate.');
+
+    const repeats = trimmed.evaluate(`LoopDetector.detect('The bell tolls twice over the square. The bell tolls twice over the square again.')`);
+    assert.deepStrictEqual(repeats.map(r => [r.source, r.similarity]), [['reply', 0.92]]);
+
+    // Regen: the repeat triggers another attempt
+    const regen = createRuntime({
+        history,
+        state: { configOverrides: { system: { enableAnalytics: true }, bonepoke: { loopHandling: 'regen', debugLogging: true } } }
+    });
+    const attempts = regen.turn({
+        input: 'wait',
+        output: ['The old guard leans on his spear and watches the road.', 'Mud splashes under a passing cart as the bell tolls noon.']
+    });
+    assert.deepStrictEqual(attempts.outputs.map(o => !!o.stop), [true, false]);
+    assert.ok(regen.logs.some(l => l.includes('Loop: output repeats "The old guard leans') && l.includes('from a recent output')));
+
+    const summary = regen.evaluate('Analytics.getSummary()');
+    assert.strictEqual(summary.repeatRate, '50.0%');
+    assert.strictEqual(summary.repeatedSentences, 1);
+});
+
+test('cut-off outputs are trimmed and the fragment is finished on Continue', () => {
+    // Off by default: the output is shown as written
+    const untrimmed = createRuntime();
+    const whole = untrimmed.turn({ input: 'open the door', output: 'The door creaks open. Beyond it, a narrow stair winds down into the' });
+    assert.strictEqual(whole.outputs[0].text, ' The door creaks open. Beyond it, a narrow stair winds down into the');
+    assert.strictEqual(untrimmed.state.cutoffFragment, undefined);
+
+    const runtime = createRuntime({ state: { configOverrides: { system: { trimCutoffs: true } } } });
+    const split = (text) => runtime.evaluate(`SentenceCutoff.split(${JSON.stringify(text)})`);
+
+    // Dialogue cut mid-quote is closed; ellipses and closed quotes are left alone
+    assert.deepStrictEqual(split('The door opens. She shouts, "Run! The guards are com'),
+        { text: 'The door opens. She shouts, "Run!"', fragment: 'The guards are com', dialogue: true });
+    assert.strictEqual(split('He waits...').fragment, '');
+    assert.strictEqual(split('"Wait—"').fragment, '');
+    assert.strictEqual(split('Nothing complete here').fragment, '');
+
+    const first = runtime.turn({ input: 'open the door', output: 'The door creaks open. Beyond it, a narrow stair winds down into the' });
+    assert.strictEqual(first.outputs[0].text, ' The door creaks open.');
+    assert.deepStrictEqual(runtime.state.cutoffFragment,
+        { text: 'Beyond it, a narrow stair winds down into the', dialogue: false });
+
+    const resumed = runtime.turn({ type: 'continue', output: 'Beyond it, a narrow stair winds down into the dark.' });
+    assert.ok(resumed.context.includes('<SYSTEM>Your last response was cut off mid-sentence: ' +
+        '"Beyond it, a narrow stair winds down into the". Begin by writing that sentence again in full'));
+    assert.ok(resumed.context.indexOf('<SYSTEM>Your last response') < resumed.context.indexOf('[Internal Sampling Protocol'));
+    assert.strictEqual(resumed.outputs[0].text, ' Beyond it, a narrow stair winds down into the dark.');
+    assert.strictEqual(runtime.state.cutoffFragment, undefined);
+});
+
+test('do and story inputs are normalized to the narrative person with quoted dialogue', () => {
+    const runtime = createRuntime();
+    const input = (text) => runtime.runHook('input', text).text;
+
+    // Input type comes from the format, not from the previous history entry
+    assert.strictEqual(input('\n> You I open the door and look at my hands.\n'), '> You open the door and look at your hands.');
+    assert.strictEqual(runtime.state.lastInputType, 'do');
+    assert.strictEqual(input('\n> You shout: get down!\n'), '> You shout, "Get down!"');
+    assert.strictEqual(input('\n> You was tired,, i need rest\n'), '> You were tired, "I need rest."');
+    assert.strictEqual(input('\n> You tell her "i am fine" and I smile.\n'), '> You tell her "I am fine" and you smile.');
+    assert.strictEqual(input('\n> You say "hello"\n'), '> You say, "Hello"');
+    assert.strictEqual(runtime.state.lastInputType, 'say');
+
+    // A participle after a speech verb is action, not speech; questions keep their question mark
+    assert.strictEqual(input('\n> You I cry, clutching the letter.\n'), '> You cry, clutching the letter.');
+    assert.strictEqual(input('\n> You call, nothing moves in the dark\n'), '> You call, "Nothing moves in the dark."');
+    assert.strictEqual(input('The guard asks: who goes there'), 'The guard asks, "Who goes there?"');
+    assert.strictEqual(input('\n> You whisper,, where is the key\n'), '> You whisper, "Where is the key?"');
+    assert.strictEqual(input('\n> You ask the innkeeper, do you have a room\n'), '> You ask the innkeeper, "Do you have a room?"');
+    assert.strictEqual(input('\n> You call out, anyone here\n'), '> You call out, "Anyone here?"');
+
+    // Abbreviations don't start a new sentence
+    assert.strictEqual(input('\n> You eat something, i.e. whatever is left, because i am hungry.\n'),
+        '> You eat something, i.e. whatever is left, because you are hungry.');
+
+    // An object "me" after an "I" subject becomes reflexive
+    assert.strictEqual(input('\n> You I give me the sword\n'), '> You give yourself the sword');
+    assert.strictEqual(input('\n> You I look at me in the mirror and Mara hands me a comb.\n'),
+        '> You look at yourself in the mirror and Mara hands you a comb.');
+
+    // Story input in an undecided voice keeps its person but is capitalized
+    assert.strictEqual(input('i walk to the bar. i am tired.'), 'I walk to the bar. I am tired.');
+    assert.strictEqual(runtime.state.lastInputType, 'story');
+
+    // First-person adventure: "you" becomes "I"/"me" by position, with agreement
+    const firstPerson = createRuntime({
+        history: [
+            { text: 'I wake in a cold cell. I stand and I stretch. My chains rattle as I move.', type: 'story' },
+            { text: ' I hear footsteps. I press my ear to the door and I wait.', type: 'ai' }
+        ]
+    });
+    assert.strictEqual(
+        firstPerson.runHook('input', '\n> You open the door and Mara hands you your sword. You are ready.\n').text,
+        '> I open the door and Mara hands me my sword. I am ready.'
+    );
+    assert.strictEqual(firstPerson.runHook('input', '\n> You steady you and draw.\n').text, '> I steady myself and draw.');
+});
+
+test('rhythm analysis flags uniform sentences, repeated openings and dialogue walls', () => {
+    const runtime = createRuntime();
+    const monotone = runtime.evaluate(`BonepokeAnalysis.analyze(
+        'The hall is quiet. She walks to the door. She opens it slowly. She looks outside. She sees the guard.'
+    )`);
+
+    assert.deepStrictEqual(monotone.composted.rhythm.openingRun, { word: 'She', length: 4, end: 4 });
+    assert.ok(monotone.suggestions.includes("Rhythm: vary sentence openings; last 4 sentences began with 'She'"));
+    assert.ok(monotone.composted.rhythm.issues.some(i => i.startsWith('mix short and long sentences')));
+    assert.strictEqual(monotone.scores['Rhythm'], 1);
+
+    const varied = runtime.evaluate(`BonepokeAnalysis.analyze(
+        'Rain. The old road winds down through the pines toward a village you have never seen. ' +
+        '"Who goes there?" a voice calls from the gate. You stop.'
+    )`);
+    assert.deepStrictEqual(varied.composted.rhythm.issues, []);
+    assert.strictEqual(varied.scores['Rhythm'], 5);
+
+    const talky = runtime.evaluate(`BonepokeAnalysis.analyzeRhythm(
+        '"Now?" "Not yet." "When, then?" "When the bell rings, and not a moment before."'
+    )`);
+    assert.deepStrictEqual(talky.issues, ['ground the dialogue with action beats and setting']);
+});
+
+test('NarrativeVoice learns person and tense and regenerates a slipped output', () => {
+    const runtime = createRuntime({
+        state: { configOverrides: { bonepoke: { debugLogging: true } } },
+        history: [{
+            type: 'start',
+            text: 'You stand at the edge of the forest. You hear wolves, and you grip your torch. ' +
+                'An old woman waits by a stone.'
+        }, {
+            type: 'ai',
+            text: ' The wolves howl again. She smiles at you and beckons. You hesitate.'
+        }]
+    });
+
+    assert.deepStrictEqual(runtime.evaluate('NarrativeVoice.getProfile()'), { person: 'second', tense: 'present' });
+
+    const record = runtime.turn({
+        type: 'do',
+        input: 'You walk toward her.',
+        output: [
+            ' He walked toward the old woman. He asked her about the wolves. She shook her head.',
+            ' You walk toward the old woman and ask about the wolves. She shakes her head.'
+        ]
+    });
+
+    assert.strictEqual(record.outputs[0].stop, true);
+    assert.ok(runtime.logs.some(l => l.includes('Voice shift: output breaks the established second present narration')));
+    assert.strictEqual(record.outputs[1].text, ' You walk toward the old woman and ask about the wolves. She shakes her head.');
+
+    // A reply that only narrates NPCs has not left second person
+    const npcs = ' The old woman shakes her head. She points to the trees. They sway in the wind, and she mutters a charm.';
+    const npcOnly = runtime.evaluate(`BonepokeAnalysis.analyze(${JSON.stringify(npcs)})`);
+    assert.strictEqual(npcOnly.composted.voice.shift, false);
+    assert.deepStrictEqual(npcOnly.composted.voice.violations, []);
+    assert.strictEqual(runtime.turn({ type: 'do', input: 'You wait.', output: npcs }).outputs[0].text, npcs);
+
+    const analysis = runtime.evaluate(`BonepokeAnalysis.analyze('I walk to the door. I open it and step out.')`);
+    assert.deepStrictEqual(analysis.composted.voice.violations.map(v => v.issue), ['first person', 'first person']);
+    assert.strictEqual(analysis.composted.voice.shift, true);
+    assert.strictEqual(analysis.scores['Voice Consistency'], 1);
+
+    // One stray "I" among "you" narration is a slip, not a shift
+    const slip = runtime.evaluate(`BonepokeAnalysis.analyze('You reach the door. You open it. I step out.')`);
+    assert.strictEqual(slip.composted.voice.shift, false);
+    assert.strictEqual(slip.scores['Voice Consistency'], 3.5);
+
+    runtime.evaluate(`DynamicCorrection.applyCorrections(BonepokeAnalysis.analyze('I walk to the door. I open it.'))`);
+    assert.strictEqual(runtime.storyCards.find(c => c.title === 'DynamicCorrection_Voice').entry,
+        '[Style guidance: Narrate in second person ("you") and present tense, as established. Do not switch to first person.]');
+});
+
+test('player-agency violations are trimmed, regenerated or corrected by card', () => {
+    const output = ' The guard blocks the gate. You say, "Let us through." "Fine," you mutter. ' +
+        'He steps aside. You decide to trust him.';
+
+    const trimming = createRuntime({ state: { configOverrides: { bonepoke: { agencyHandling: 'trim' } } } });
+    const trimmed = trimming.turn({ type: 'do', input: 'You approach the gate.', output });
+    assert.strictEqual(trimmed.outputs[0].text, ' The guard blocks the gate. He steps aside.');
+
+    const regenerating = createRuntime({ state: { configOverrides: { bonepoke: { agencyHandling: 'regen' } } } });
+    const regenerated = regenerating.turn({
+        type: 'do',
+        input: 'You approach the gate.',
+        output: [output, ' The guard blocks the gate, then steps aside with a grunt.']
+    });
+    assert.strictEqual(regenerated.outputs[0].stop, true);
+    assert.strictEqual(regenerated.outputs[1].text, ' The guard blocks the gate, then steps aside with a grunt.');
+
+    // Subordinate clauses and thoughts leave the player in charge
+    const free = ' Before you say anything, she turns away. As you ask about the map, the old man frowns and points north. ' +
+        'You wonder if you agreed to too much.';
+    assert.deepStrictEqual(trimming.evaluate(`PlayerAgency.detect(${JSON.stringify(free)})`), []);
+    assert.strictEqual(trimming.turn({ type: 'do', input: 'You look around.', output: free }).outputs[0].text, free);
+    assert.deepStrictEqual(
+        trimming.evaluate(`PlayerAgency.detect('Then you decide to leave. When he asks, you answer, "No."')`).map(v => v.line),
+        ['Then you decide to leave.', 'When he asks, you answer,', '"No."']);
+
+    // Speech verbs that say nothing aloud are not dialogue
+    const silent = ' You say nothing, and the silence stretches. You ask yourself how long this can last. ' +
+        'You mutter to yourself, "Why me?"';
+    assert.deepStrictEqual(trimming.evaluate(`PlayerAgency.detect(${JSON.stringify(silent)})`), []);
+
+    const carding = createRuntime();
+    const kept = carding.turn({ type: 'do', input: 'You approach the gate.', output });
+    assert.strictEqual(kept.outputs[0].text, output);
+    carding.turn({ type: 'do', input: 'You walk through.', output: ' The courtyard is empty.' });
+    assert.ok(carding.storyCards.some(c => c.title === 'DynamicCorrection_Agency'));
+
+    const message = carding.evaluate('Commands.execute("/bonepoke agencyHandling=ignore")');
+    assert.match(message, /agencyHandling must be one of: trim, card, regen, off/);
+});
+
+test('scene classifier blends VS profiles per turn without touching CONFIG', () => {
+    const runtime = createRuntime({ state: { configOverrides: { vs: { adaptive: true } } } });
+    const fight = 'The bandit lunges with his sword. You parry the blow and strike back. ' +
+        'The enemy attacks again, swinging wildly. "Yield!" you shout. "Never!" he snarls.';
+
+    const scenes = runtime.evaluate(`SceneClassifier.classify(${JSON.stringify(fight)})`);
+    assert.deepStrictEqual(scenes.map(s => s.scene), ['combat', 'dialogue']);
+    assert.strictEqual(scenes[0].confidence, 1);
+
+    const context = runtime.runHook('context', fight).text;
+    assert.match(context, /generate 6 distinct/);
+    assert.match(context, /- for this scene, keep the action fast, physical and easy to follow/);
+    assert.match(runtime.storyCards.find(c => c.title === 'VS_System').entry, /generate 6 distinct/);
+    assert.deepStrictEqual([runtime.state.vsTurnParams.k, runtime.state.vsTurnParams.tau], [6, 0.09]);
+
+    // Base parameters are untouched in the next hook and in the config snapshot
+    assert.deepStrictEqual(runtime.evaluate('[CONFIG.vs.k, CONFIG.vs.tau]'), [5, 0.1]);
+    assert.deepStrictEqual([runtime.state.configSnapshot.vs.k, runtime.state.configSnapshot.vs.tau], [5, 0.1]);
+
+    // Quiet text classifies as nothing and falls back to the base values
+    const quiet = runtime.evaluate('VerbalizedSampling.analyzeContext("Time passes.")');
+    assert.deepStrictEqual([quiet.k, quiet.tau, quiet.scenes], [5, 0.1, []]);
+});
+
+test('VS tuning follows quality trends within bounds and respects the lock', () => {
+    const runtime = createRuntime({ state: { configOverrides: { vs: { autoTune: true } } } });
+    const repetitive = JSON.stringify('Bells ring. Bells toll. Bells chime. Bells peal. Bells clang.');
+    // Store each analysis the way the output hook does, then count the output
+    const feed = (times) => {
+        for (let i = 0; i < times; i++) {
+            runtime.evaluate(`state.bonepokeHistory = [...(state.bonepokeHistory || []), {
+                issues: DynamicCorrection.listIssues(BonepokeAnalysis.analyze(${repetitive}).composted)
+            }].slice(-20), VSTuner.update()`);
+        }
+    };
+
+    // Smoothing: two bad outputs are not a trend yet
+    feed(2);
+    assert.deepStrictEqual(runtime.evaluate('[CONFIG.vs.k, CONFIG.vs.tau]'), [5, 0.1]);
+
+    feed(1);
+    assert.deepStrictEqual(runtime.evaluate('[CONFIG.vs.k, CONFIG.vs.tau]'), [6, 0.09]);
+    assert.deepStrictEqual(runtime.state.vsTuning.log.map(e => [e.param, e.from, e.to]),
+        [['tau', 0.1, 0.09], ['k', 5, 6]]);
+    assert.match(runtime.storyCards.find(c => c.title === 'VS_System').entry, /generate 6 distinct/);
+
+    // Bounded: the band stops k at base + 2 and tau at base - 0.04
+    feed(30);
+    assert.deepStrictEqual(runtime.evaluate('[CONFIG.vs.k, CONFIG.vs.tau]'), [7, 0.06]);
+
+    // Tuned values are their own layer: not player overrides, not on the config card
+    assert.deepStrictEqual(runtime.state.configOverrides, { vs: { autoTune: true } });
+    assert.deepStrictEqual(runtime.state.vsTuning.tuned, { k: 7, tau: 0.06 });
+    const configCard = runtime.storyCards.find(c => c.title === 'Writing System Config');
+    assert.match(configCard.entry, /^vs\.k=5$/m);
+    assert.match(configCard.entry, /^vs\.tau=0\.1$/m);
+    configCard.entry = configCard.entry.replace('bonepoke.phraseWindow=5', 'bonepoke.phraseWindow=6');
+    assert.deepStrictEqual(runtime.evaluate('[CONFIG.vs.k, CONFIG.vs.tau, CONFIG.bonepoke.phraseWindow]'), [7, 0.06, 6]);
+    assert.strictEqual(runtime.state.configOverrides.vs.k, undefined);
+
+    // A style preset replaces the base, so tuning restarts from it and no overrides are reported
+    assert.doesNotMatch(runtime.evaluate('Commands.execute("/style noir")'), /overrides kept/);
+    assert.deepStrictEqual(runtime.evaluate('[CONFIG.vs.k, CONFIG.vs.tau]'), [5, 0.08]);
+    assert.deepStrictEqual(runtime.state.vsTuning.tuned, {});
+    runtime.evaluate('Commands.execute("/style off")');
+
+    // Locked parameters stay put; the log is visible through /tune
+    runtime.evaluate('Commands.execute("/tune lock")');
+    runtime.evaluate('Commands.execute("/vs k=5 tau=0.12")');
+    feed(6);
+    assert.deepStrictEqual(runtime.evaluate('[CONFIG.vs.k, CONFIG.vs.tau]'), [5, 0.12]);
+
+    const status = runtime.evaluate('Commands.execute("/tune")');
+    assert.match(status, /^VS tuning locked: k=5 tau=0.12, repetition 1, incoherence 0 \(last 5 outputs\)/);
+    assert.match(status, /tau 0.07 -> 0.06 \(repetition trending up/);
+
+    // The player's own values are never tuned
+    runtime.evaluate('Commands.execute("/tune unlock")');
+    feed(6);
+    assert.deepStrictEqual(runtime.evaluate('[CONFIG.vs.k, CONFIG.vs.tau]'), [5, 0.12]);
+});
+
+test('input macros from the player card expand with arguments and unknown ones are reported', () => {
+    const macroCard = {
+        title: 'Writing System Macros',
+        keys: '@writing-system-macros',
+        type: 'System',
+        description: '',
+        entry: [
+            '# comment',
+            '!sneak = You move silently through the shadows, staying low',
+            '!attack {target} = lunge at {target} with your blade',
+            '!give {item} {person} = I hand {item} to {person}',
+            '!broken = {who} waves',
+            'not a macro'
+        ].join('\n')
+    };
+    const runtime = createRuntime({ storyCards: [macroCard] });
+    const input = (text) => runtime.runHook('input', text);
+
+    assert.strictEqual(input('\n> You !sneak.\n').text, '> You move silently through the shadows, staying low.');
+    assert.strictEqual(input('\n> You !attack the tall guard.\n').text, '> You lunge at the tall guard with your blade.');
+    assert.strictEqual(input('\n> You !give "the old key" Mara.\n').text, '> You hand the old key to Mara.');
+    assert.strictEqual(input('!sneak').text, 'You move silently through the shadows, staying low.');
+
+    // Arguments are inserted literally, "$" sequences included
+    assert.strictEqual(input('\n> You !give "$& and $1" $$Mara.\n').text, '> You hand $& and $1 to $$Mara.');
+
+    // Errors stop the input and tell the player instead of reaching the model
+    const unknown = input('\n> You !dance.\n');
+    assert.deepStrictEqual(unknown, { text: '', stop: true });
+    assert.strictEqual(runtime.state.message, 'Unknown macro "!dance" - defined: !sneak, !attack, !give');
+    input('\n> You !attack.\n');
+    assert.strictEqual(runtime.state.message, '!attack is missing {target} - use !attack {target}');
+    input('\n> You !sneak past the guard.\n');
+    assert.strictEqual(runtime.state.message, '!sneak takes no arguments, got "past the guard"');
+
+    const card = runtime.storyCards.find(c => c.title === 'Writing System Macros');
+    assert.match(card.description, /^Rejected: !broken uses \{who\}.*; "not a macro" is not !name = text$/);
+    assert.match(runtime.evaluate('Commands.execute("/macros")'), /!give \{item\} \{person\} = I hand \{item\} to \{person\}/);
+});
+
+test('context budget condenses, drops and trims by priority and reports the cuts', () => {
+    const entry = '[Style guidance - repeated issue: Avoid cliches and purple prose such as "orbs". ' +
+        'Prefer plain, specific description over stock phrases. This came up again in the last reply; follow it closely.]';
+    const runtime = createRuntime({
+        state: {
+            configOverrides: { system: { contextBudget: 500 } },
+            correctionCards: { Freshness: { level: 2, since: 1, lastSeen: 1 } }
+        },
+        storyCards: [{ title: 'DynamicCorrection_Freshness', keys: '', entry, type: 'guidance', description: '' }],
+        history: [{ text: 'You wait.', type: 'do' }]
+    });
+    const story = Array.from({ length: 40 }, (_, i) => `Line ${i + 1} of the story goes on about the rain and the road.`).join('\n');
+    const text = runtime.runHook('context', `Mara is a smuggler.\n\nWorld Lore:\n${entry}\n\nRecent Story:\n${story}`).text;
+
+    // Condense everything first, then drop and trim from the lowest priority up
+    const report = runtime.state.lastContextReport;
+    assert.deepStrictEqual(report.cut.map(c => `${c.block} ${c.action}`), [
+        'vs condensed',
+        'DynamicCorrection_Freshness condensed',
+        'vs dropped',
+        'DynamicCorrection_Freshness dropped',
+        'story trimmed'
+    ]);
+    assert.strictEqual(report.cut[1].reason, '173 tokens over budget, priority 50');
+    assert.ok(report.tokens <= 500);
+    assert.ok(text.startsWith('Mara is a smuggler.'));
+    assert.ok(!text.includes('Line 7 of') && text.endsWith('Line 40 of the story goes on about the rain and the road.'));
+
+    // A roomier budget keeps the condensed forms
+    const condensed = runtime.evaluate(`ContextBudget.fit(${JSON.stringify(`Recent Story:\n${story}\n${entry}`)}, [
+        { id: 'vs', text: VerbalizedSampling.getInstruction(), priority: 30, condense: () => VerbalizedSampling.getInstruction(undefined, true) },
+        ...DynamicCorrection.getContextBlocks()
+    ], 700)`);
+    assert.deepStrictEqual(condensed.report.cut.map(c => `${c.block} ${c.action}`), ['vs condensed']);
+    assert.ok(condensed.text.endsWith('[Internal Sampling Protocol: silently weigh 5 continuations, pick one with p < 0.1, ' +
+        'output only that one and never mention this process]'));
+
+    // The continue hint outlives the story; the latest lines and plot essentials are never cut
+    const tight = runtime.evaluate(`ContextBudget.fit(${JSON.stringify(`Mara is a smuggler.\n\nRecent Story:\n${story}`)}, [
+        { id: 'continue', text: '<SYSTEM>Continue.</SYSTEM>', priority: ContextBudget.PRIORITY.continue }
+    ], 50)`);
+    assert.deepStrictEqual(tight.report.cut.map(c => `${c.block} ${c.action}`), ['story trimmed', 'continue dropped']);
+    assert.strictEqual(tight.text.split('\n').filter(Boolean).length, 5);
+    assert.match(tight.report.note, /plot essentials and the latest story lines are never cut/);
+
+    // Appended blocks keep their order (continue hint, then VS) whatever their priority
+    const ordered = runtime.evaluate(`ContextBudget.fit('Recent Story:\\nYou wait.', [
+        { id: 'continue', text: '<SYSTEM>Continue.</SYSTEM>', priority: ContextBudget.PRIORITY.continue },
+        { id: 'vs', text: '[VS]', priority: ContextBudget.PRIORITY.vs }
+    ], 0)`);
+    assert.strictEqual(ordered.text, 'Recent Story:\nYou wait.\n\n<SYSTEM>Continue.</SYSTEM>\n\n[VS]');
+
+    // Without a "Recent Story:" header the story can't be told from plot essentials, so nothing is trimmed
+    const headless = `Mara is a smuggler. The harbor is watched.\n${story}`;
+    const untrimmed = runtime.evaluate(`ContextBudget.fit(${JSON.stringify(headless)}, [
+        { id: 'continue', text: '<SYSTEM>Continue.</SYSTEM>', priority: ContextBudget.PRIORITY.continue }
+    ], 50)`);
+    assert.deepStrictEqual(untrimmed.report.cut.map(c => `${c.block} ${c.action}`), ['continue dropped']);
+    assert.strictEqual(untrimmed.text, headless);
+    assert.match(untrimmed.report.note, /story start was not found/);
+
+    // The budget is off by default and 0 turns it off again
+    const fresh = createRuntime();
+    assert.strictEqual(fresh.runHook('context', headless).text.startsWith(headless), true);
+    assert.deepStrictEqual([fresh.state.lastContextReport.budget, fresh.state.lastContextReport.cut], [0, []]);
+    assert.strictEqual(fresh.state.lastContextSize, undefined);
+    fresh.evaluate('Commands.execute("/system enableAnalytics=on")');
+    const counted = fresh.runHook('context', headless).text;
+    assert.strictEqual(fresh.state.lastContextSize, counted.length);
+    assert.match(fresh.evaluate('Commands.execute("/system contextBudget=100")'), /contextBudget must be between 500 and 32000 \(or 0 for off\)/);
+    fresh.evaluate('Commands.execute("/system contextBudget=0")');
+    assert.strictEqual(fresh.evaluate('CONFIG.system.contextBudget'), 0);
+});
+
+test('style presets layer under overrides and switch by command or card', () => {
+    const runtime = createRuntime({ state: { configOverrides: { vs: { k: 8 } } } });
+    const command = (text) => runtime.evaluate(`Commands.execute(${JSON.stringify(text)})`);
+    const card = (title) => runtime.storyCards.find(c => c.title === title);
+
+    assert.strictEqual(command('/style noir'),
+        'Style set to noir: k=5, tau=0.08, fatigueThreshold=4, qualityThreshold=2.5, ' +
+        'Rhythm x1.5, Dialogue Weight x1.25, Emotional Strength x0.75 (your overrides kept: k=8)');
+
+    // Preset values persist across hooks; the player's k override still wins
+    const active = runtime.evaluate(`({
+        vs: [CONFIG.vs.k, CONFIG.vs.tau],
+        threshold: CONFIG.bonepoke.qualityThreshold,
+        rhythm: BonepokeAnalysis.getDimensions().find(d => d.name === 'Rhythm').weight,
+        avoided: ClicheLexicon.getEntries().filter(e => e.hint === 'off-style for noir').length
+    })`);
+    assert.deepStrictEqual(active, { vs: [8, 0.08], threshold: 2.5, rhythm: 1.5, avoided: 5 });
+    assert.match(card('StylePreset_Guide').entry, /^\[Style guide \(noir\): Hard-boiled noir.*Favor words like "rain", "smoke"/);
+    assert.match(card('Writing System Style').entry, /^style = noir$/m);
+    assert.match(card('Writing System Config').entry, /^vs\.tau=0\.08$/m);
+
+    // /reset drops overrides but keeps the style
+    assert.match(command('/reset'), /reset to the noir style defaults/);
+    assert.strictEqual(runtime.evaluate('CONFIG.vs.k'), 5);
+
+    // A custom preset chosen on the card; bad lines are reported
+    card('Writing System Style').entry = [
+        'style = western',
+        '[western]',
+        'vs.k = 6',
+        'weight.dialogue weight = 2',
+        'weight.Sparkle = 2',
+        'bonepoke.qualityThreshold = 9',
+        'avoid = neon, laser',
+        'guidance = Sparse frontier prose. Let silences carry the mood.'
+    ].join('\n');
+    const western = runtime.evaluate(`({
+        k: CONFIG.vs.k,
+        tau: CONFIG.vs.tau,
+        dialogue: BonepokeAnalysis.getDimensions().find(d => d.name === 'Dialogue Weight').weight,
+        rhythm: BonepokeAnalysis.getDimensions().find(d => d.name === 'Rhythm').weight
+    })`);
+    assert.deepStrictEqual(western, { k: 6, tau: 0.1, dialogue: 2, rhythm: 1 });
+    assert.strictEqual(runtime.state.stylePreset, 'western');
+    assert.strictEqual(card('Writing System Style').description,
+        'Rejected: [western] unknown dimension "Sparkle"; [western] qualityThreshold must be between 1 and 5');
+    assert.strictEqual(card('StylePreset_Guide').entry,
+        '[Style guide (western): Sparse frontier prose. Let silences carry the mood. Avoid "neon", "laser".]');
+
+    assert.match(command('/style gothic'), /^Unknown style "gothic" - use off, noir, cozy, horror, epic, western$/);
+    assert.strictEqual(command('/style off'), 'Style off - back to the default settings');
+    assert.strictEqual(card('StylePreset_Guide'), undefined);
+    assert.strictEqual(runtime.evaluate('CONFIG.vs.k'), 5);
+});
+
+test('emotion lexicon scores intensity and negation, and a flat arc raises guidance', () => {
+    const runtime = createRuntime({
+        state: { configOverrides: { system: { enableAnalytics: true }, bonepoke: { arcWindow: 3 } } }
+    });
+    const profile = (text) => runtime.evaluate(`EmotionLexicon.profile(${JSON.stringify(text)})`);
+
+    // Negation moves half the weight to the opposite emotion; modifiers scale it
+    const relieved = profile('She was not afraid. He laughed, deeply relieved, then sobbing he hugged her.');
+    assert.deepStrictEqual(relieved.emotions, { calm: 4, joy: 2, sadness: 3, affection: 1 });
+    assert.strictEqual(relieved.dominant, 'calm');
+    assert.deepStrictEqual(profile("You aren't happy about it, and you are slightly annoyed.").emotions,
+        { sadness: 1, anger: 0.5 });
+    assert.strictEqual(profile('The cart rolls on.').intensity, 0);
+
+    // Three accepted outputs without emotion make a numb arc
+    ['The road bends east past the mill.', 'A cart waits by the gate with two barrels.', 'The gate opens onto a muddy square.']
+        .forEach(output => runtime.turn({ input: '\n> You walk on.\n', output }));
+    assert.deepStrictEqual(runtime.state.emotionArc.map(e => e.dominant), [null, null, null]);
+    assert.deepStrictEqual(runtime.evaluate('EmotionLexicon.checkArc()'), { flat: true, kind: 'numb', turns: 3 });
+
+    runtime.turn({ input: '\n> You look around.\n', output: 'A dog barks, and you laugh with delight.' });
+    const card = runtime.storyCards.find(c => c.title === 'DynamicCorrection_Emotion');
+    assert.match(card.entry, /^\[Style guidance: The last 3 replies carried almost no emotion\./);
+
+    const report = runtime.storyCards.find(c => c.title === 'Writing Report').entry;
+    assert.match(report, /Emotional arc, last 4 turns:\n▁▁▁█ none x3 > joy\n/);
+    assert.deepStrictEqual(runtime.evaluate('EmotionLexicon.checkArc()'), { flat: false });
+});
@@ -0,0 +1,41 @@
+/**
+ * Golden-file session tests
+ *
+ * Every fixture in test/fixtures is played through the full
+ * input → context → output pipeline and compared with test/golden.
+ *
+ * Refresh goldens after an intended behavior change:
+ *   UPDATE_GOLDEN=1 node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { playSession } = require('./harness');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const GOLDEN = path.join(__dirname, 'golden');
+const UPDATE = process.env.UPDATE_GOLDEN === '1';
+
+fs.readdirSync(FIXTURES)
+    .filter(f => f.endsWith('.json'))
+    .sort()
+    .forEach(file => {
+        test(`session: ${file}`, () => {
+            const fixture = JSON.parse(fs.readFileSync(path.join(FIXTURES, file), 'utf8'));
+            const snapshot = playSession(fixture);
+            const goldenPath = path.join(GOLDEN, file);
+
+            if (UPDATE) {
+                fs.writeFileSync(goldenPath, JSON.stringify(snapshot, null, 2) + '\n');
+                return;
+            }
+
+            assert.ok(fs.existsSync(goldenPath),
+                `Missing golden file for ${file} - run with UPDATE_GOLDEN=1`);
+
+            const golden = JSON.parse(fs.readFileSync(goldenPath, 'utf8'));
+            assert.deepStrictEqual(snapshot, golden);
+        });
+    });